@@ -0,0 +1,109 @@
+'use strict';
+
+var _ = require('underscore');
+
+/**
+ * Selector of elements that can receive focus.
+ * @type {string}
+ */
+var FOCUSABLE_SELECTOR = 'a[href], area[href], button, input, select, textarea, iframe, [tabindex], [contenteditable="true"]';
+
+/**
+ * Elements that support the disabled attribute.
+ * @type {Array}
+ */
+var FORM_CONTROLS = ['BUTTON', 'INPUT', 'SELECT', 'TEXTAREA', 'FIELDSET'];
+
+/**
+ * Sets an attribute, returning a record of its previous value so that it can be restored.
+ * @param {HTMLElement} el
+ * @param {string} name
+ * @param {string} value
+ * @returns {{el: HTMLElement, name: string, value: string|null}}
+ */
+var setAttribute = function (el, name, value) {
+    var record = {el: el, name: name, value: el.getAttribute(name)};
+    el.setAttribute(name, value);
+    return record;
+};
+
+module.exports = {
+
+    /**
+     * Gets the elements within an element that can currently receive focus.
+     * @param {HTMLElement} el
+     * @returns {Array}
+     */
+    getFocusable: function (el) {
+        return _.filter(el.querySelectorAll(FOCUSABLE_SELECTOR), function (child) {
+            return !child.disabled && child.getAttribute('tabindex') !== '-1';
+        });
+    },
+
+    /**
+     * Removes an element from the accessibility tree and prevents its contents from receiving focus,
+     * using the inert attribute and falling back to removing descendants from the tab order
+     * in browsers that don't support it.
+     * @param {HTMLElement} el
+     * @returns {Array} Records to pass to restore()
+     */
+    hide: function (el) {
+        var records = [setAttribute(el, 'aria-hidden', 'true'), setAttribute(el, 'inert', '')];
+        if (!('inert' in el)) {
+            records = records.concat(_.map(this.getFocusable(el), function (child) {
+                return setAttribute(child, 'tabindex', '-1');
+            }));
+        }
+        return records;
+    },
+
+    /**
+     * Marks an element as disabled, disabling its form controls and removing its other
+     * focusable descendants from the tab order.
+     * @param {HTMLElement} el
+     * @returns {Array} Records to pass to restore()
+     */
+    disable: function (el) {
+        return [setAttribute(el, 'aria-disabled', 'true')].concat(_.map(this.getFocusable(el), function (child) {
+            if (_.contains(FORM_CONTROLS, child.tagName)) {
+                return setAttribute(child, 'disabled', '');
+            }
+            return setAttribute(child, 'tabindex', '-1');
+        }));
+    },
+
+    /**
+     * Restores the attributes changed by hide(), disable() or focus().
+     * @param {Array} [records]
+     */
+    restore: function (records) {
+        // restore in reverse so attributes changed more than once end with their original value
+        _.each((records || []).slice().reverse(), function (record) {
+            if (record.value === null) {
+                record.el.removeAttribute(record.name);
+            } else {
+                record.el.setAttribute(record.name, record.value);
+            }
+        });
+    },
+
+    /**
+     * Moves focus into an element, to its [autofocus] descendant, its first focusable
+     * descendant or the element itself.
+     * @param {HTMLElement} el
+     * @returns {Array} Records to pass to restore()
+     */
+    focus: function (el) {
+        var target = el.querySelector('[autofocus]') || this.getFocusable(el)[0],
+            records = [];
+        if (!target) {
+            target = el;
+            if (!el.hasAttribute('tabindex')) {
+                records.push(setAttribute(el, 'tabindex', '-1'));
+            }
+        }
+        target.focus();
+        return records;
+    }
+
+};
\ No newline at end of file
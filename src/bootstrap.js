@@ -0,0 +1,154 @@
+'use strict';
+
+var Promise = require('promise');
+var _ = require('underscore');
+
+var registry = {};
+var instances = [];
+
+/**
+ * Gets the record of a module that was created by bootstrap() for an element.
+ * @param {HTMLElement} el
+ * @returns {{el: HTMLElement, module: Module}|undefined}
+ */
+var getInstance = function (el) {
+    return _.find(instances, function (instance) {
+        return instance.el === el;
+    });
+};
+
+/**
+ * Gets the closest ancestor element that has a module created by bootstrap().
+ * @param {HTMLElement} el
+ * @returns {{el: HTMLElement, module: Module}|undefined}
+ */
+var getParentInstance = function (el) {
+    var parentEl = el.parentNode,
+        instance;
+    while (parentEl && parentEl.getAttribute) {
+        instance = getInstance(parentEl);
+        if (instance) {
+            return instance;
+        }
+        parentEl = parentEl.parentNode;
+    }
+};
+
+/**
+ * Gets a name for a sub module that isn't already used by one of its siblings.
+ * @param {Module} parent - The parent module
+ * @param {HTMLElement} el - The sub module element
+ * @returns {string}
+ */
+var getSubModuleName = function (parent, el) {
+    var baseName = el.getAttribute('data-module-name') || el.getAttribute('data-module'),
+        name = baseName,
+        count = 1;
+    while (parent.getSubModule(name)) {
+        count++;
+        name = baseName + count;
+    }
+    return name;
+};
+
+/**
+ * Gets all module elements within (and including) a root element, outermost first.
+ * @param {HTMLElement} root
+ * @returns {Array}
+ */
+var getModuleElements = function (root) {
+    var els = _.toArray(root.querySelectorAll('[data-module]'));
+    if (root.getAttribute && root.getAttribute('data-module')) {
+        els.unshift(root);
+    }
+    return els;
+};
+
+module.exports = {
+
+    /**
+     * Registers a module class so that it can be created from markup with a data-module attribute.
+     * @param {string} name - The value of the data-module attribute
+     * @param {Function} ModuleClass - The module class
+     */
+    register: function (name, ModuleClass) {
+        registry[name] = ModuleClass;
+    },
+
+    /**
+     * Removes a registered module class.
+     * @param {string} name - The name the class was registered with
+     */
+    unregister: function (name) {
+        delete registry[name];
+    },
+
+    /**
+     * Gets the name a module class was registered with.
+     * @param {Function} ModuleClass - The module class
+     * @returns {string|undefined}
+     */
+    getName: function (ModuleClass) {
+        return _.findKey(registry, function (registered) {
+            return registered === ModuleClass;
+        });
+    },
+
+    /**
+     * Creates a module for each element with a data-module attribute within a root element,
+     * nesting modules of nested elements as sub modules, and loads them.
+     * @param {HTMLElement} [root] - The element to scan (defaults to the document)
+     * @returns {Promise} Resolves with the modules that were created
+     */
+    bootstrap: function (root) {
+        var els = _.filter(getModuleElements(root || document), function (el) {
+                return !getInstance(el);
+            }),
+            created = [],
+            unknownEl = _.find(els, function (el) {
+                return !registry[el.getAttribute('data-module')];
+            });
+
+        if (unknownEl) {
+            return Promise.reject(new Error('No module registered as "' + unknownEl.getAttribute('data-module') + '"'));
+        }
+
+        _.each(els, function (el) {
+            var ModuleClass = registry[el.getAttribute('data-module')],
+                module = new ModuleClass({el: el}),
+                parent = getParentInstance(el);
+
+            if (parent) {
+                parent.module.addSubModule(getSubModuleName(parent.module, el), module);
+            }
+            instances.push({el: el, module: module});
+            created.push(module);
+        });
+
+        // sub modules are loaded by their parents unless their parent was created by an earlier bootstrap
+        return Promise.all(_.invoke(_.filter(created, function (module) {
+            return !module.parent || !_.contains(created, module.parent);
+        }), 'load')).then(function () {
+            return created;
+        });
+    },
+
+    /**
+     * Destroys all modules that bootstrap() created within a root element.
+     * @param {HTMLElement} [root] - The element whose modules should be destroyed (defaults to the document)
+     */
+    teardown: function (root) {
+        var els = getModuleElements(root || document);
+        _.each(els, function (el) {
+            var instance = getInstance(el);
+            if (instance) {
+                instances = _.without(instances, instance);
+                // sub modules may already have been destroyed by their parent
+                if (instance.module.state !== 'destroyed') {
+                    instance.module.destroy();
+                }
+            }
+        });
+    }
+
+};
\ No newline at end of file
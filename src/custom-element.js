@@ -0,0 +1,104 @@
+'use strict';
+
+var _ = require('underscore');
+var optionParser = require('./option-parser');
+
+/**
+ * Registers a custom element that creates, loads and shows a module when it is added to the document
+ * and destroys it when removed. Attributes named after the options of the module's optionSchema
+ * (i.e. "auto-play" for autoPlay) are passed as options and update them when changed.
+ * @param {string} tagName - The custom element name (i.e. "x-carousel")
+ * @param {Function} ModuleClass - The module class
+ * @returns {Function|null} The custom element class, or null in browsers that don't support custom elements
+ */
+var define = function (tagName, ModuleClass) {
+    var schema = ModuleClass.prototype.optionSchema || {},
+        optionNames = _.keys(schema),
+        ModuleElement;
+
+    if (typeof window === 'undefined' || !window.customElements) {
+        return null;
+    }
+
+    // custom elements have to be constructed by the HTMLElement constructor
+    ModuleElement = function () {
+        var el = Reflect.construct(window.HTMLElement, [], this.constructor);
+        el.module = null;
+        el.ready = null;
+        return el;
+    };
+    ModuleElement.prototype = Object.create(window.HTMLElement.prototype);
+    ModuleElement.prototype.constructor = ModuleElement;
+    Object.setPrototypeOf(ModuleElement, window.HTMLElement);
+    ModuleElement.observedAttributes = _.map(optionNames, optionParser.getAttributeName);
+
+    _.extend(ModuleElement.prototype, {
+
+        /**
+         * Creates the module with the element and loads and shows it. The element's ready
+         * promise resolves with the module once it is shown.
+         */
+        connectedCallback: function () {
+            var module;
+            if (this.module) {
+                return;
+            }
+            module = this.module = new ModuleClass(_.extend(optionParser.readAttributes(this, optionNames), {el: this}));
+            this.ready = module.load().then(function () {
+                // the module may have failed to load or the element was removed while loading
+                if (module.loaded && this.module === module) {
+                    return module.show();
+                }
+            }.bind(this)).then(function () {
+                return module;
+            });
+        },
+
+        /**
+         * Destroys the module.
+         */
+        disconnectedCallback: function () {
+            if (this.module) {
+                this.module.destroy();
+                this.module = null;
+            }
+        },
+
+        /**
+         * Updates the module option of a changed attribute, triggering an "optionchange" event on the module.
+         * @param {string} name - The attribute name
+         */
+        attributeChangedCallback: function (name) {
+            var module = this.module,
+                errors = [],
+                optionName = optionNames[_.indexOf(ModuleElement.observedAttributes, name)],
+                previous = module && module.options[optionName],
+                options;
+
+            // attributes are read when the module is created
+            if (!module) {
+                return;
+            }
+            options = _.extend(
+                _.pick(optionParser.getDefaults(schema), optionName),
+                optionParser.readAttributes(this, [optionName])
+            );
+            optionParser.coerce(options, _.pick(schema, optionName), errors);
+            if (errors.length) {
+                module.error(module._createOptionsError(errors));
+                return;
+            }
+            if (!_.isEqual(previous, options[optionName])) {
+                module.options[optionName] = options[optionName];
+                module.trigger('optionchange', optionName, options[optionName], previous);
+            }
+        }
+    });
+
+    window.customElements.define(tagName, ModuleElement);
+    return ModuleElement;
+};
+
+module.exports = {
+    define: define
+};
\ No newline at end of file
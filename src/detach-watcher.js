@@ -0,0 +1,71 @@
+'use strict';
+
+var _ = require('underscore');
+
+var entries = [];
+var observer = null;
+
+/**
+ * Whether an element is in the document.
+ * @param {HTMLElement} el
+ * @returns {boolean}
+ */
+var isAttached = function (el) {
+    return document.documentElement.contains(el);
+};
+
+/**
+ * Checks all watched elements after the document changed, calling the callback of those that were
+ * in the document and no longer are.
+ */
+var check = function () {
+    _.each(entries.slice(), function (entry) {
+        if (isAttached(entry.el)) {
+            entry.attached = true;
+        } else if (entry.attached) {
+            entry.attached = false;
+            entry.callback();
+        }
+    });
+};
+
+module.exports = {
+
+    /**
+     * Whether an element is in the document.
+     * @type {Function}
+     */
+    isAttached: isAttached,
+
+    /**
+     * Calls a callback whenever an element is removed from the document. All elements are watched
+     * by a single MutationObserver that is disconnected once nothing is watched.
+     * @param {HTMLElement} el
+     * @param {Function} callback
+     * @returns {Function} Call to stop watching, does nothing in browsers that don't support MutationObserver
+     */
+    watch: function (el, callback) {
+        var entry = {el: el, callback: callback, attached: false};
+
+        if (typeof window === 'undefined' || !window.MutationObserver) {
+            return function () {};
+        }
+
+        entry.attached = isAttached(el);
+        entries.push(entry);
+
+        if (!observer) {
+            observer = new window.MutationObserver(check);
+            observer.observe(document.documentElement, {childList: true, subtree: true});
+        }
+
+        return function () {
+            entries = _.without(entries, entry);
+            if (!entries.length && observer) {
+                observer.disconnect();
+                observer = null;
+            }
+        };
+    }
+
+};
\ No newline at end of file
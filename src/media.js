@@ -0,0 +1,102 @@
+'use strict';
+
+var _ = require('underscore');
+
+/**
+ * Calls a callback whenever a media query starts or stops matching.
+ * @param {string} query - The media query (i.e. "(max-width: 767px)")
+ * @param {Function} callback - Called with whether the query matches
+ * @returns {{matches: Function, stop: Function}|null} Returns null in browsers that don't support matchMedia
+ */
+var watch = function (query, callback) {
+    var mediaQueryList,
+        onChange;
+
+    if (typeof window === 'undefined' || !window.matchMedia) {
+        return null;
+    }
+
+    mediaQueryList = window.matchMedia(query);
+    onChange = function () {
+        callback(mediaQueryList.matches);
+    };
+    // older browsers only support addListener()
+    if (mediaQueryList.addEventListener) {
+        mediaQueryList.addEventListener('change', onChange);
+    } else {
+        mediaQueryList.addListener(onChange);
+    }
+
+    return {
+        matches: function () {
+            return mediaQueryList.matches;
+        },
+        stop: function () {
+            if (mediaQueryList.removeEventListener) {
+                mediaQueryList.removeEventListener('change', onChange);
+            } else {
+                mediaQueryList.removeListener(onChange);
+            }
+        }
+    };
+};
+
+/**
+ * Creates and loads an instance of the module class whose media query matches, destroying it
+ * and creating the class of the newly matching query whenever the matching query changes.
+ * @param {HTMLElement} el - The element the modules are created with
+ * @param {Object} classes - A map of media queries to module classes, the first matching query is used
+ * @param {Object} [options] - Options the modules are created with
+ * @returns {{module: Module|null, destroy: Function}}
+ */
+var createSwitch = function (el, classes, options) {
+    var watchers,
+        currentQuery = null,
+        mediaSwitch = {module: null};
+
+    var update = function () {
+        var query = _.find(_.keys(classes), function (key) {
+            return watchers[key] && watchers[key].matches();
+        });
+
+        if (query === currentQuery) {
+            return;
+        }
+        if (mediaSwitch.module) {
+            mediaSwitch.module.destroy();
+            mediaSwitch.module = null;
+        }
+        currentQuery = query;
+        if (query) {
+            mediaSwitch.module = new classes[query](_.extend({}, options, {el: el}));
+            mediaSwitch.module.load();
+        }
+    };
+
+    watchers = _.mapObject(classes, function (ModuleClass, query) {
+        return watch(query, update);
+    });
+
+    /**
+     * Stops watching the media queries and destroys the current module.
+     */
+    mediaSwitch.destroy = function () {
+        _.each(watchers, function (watcher) {
+            if (watcher) {
+                watcher.stop();
+            }
+        });
+        if (mediaSwitch.module) {
+            mediaSwitch.module.destroy();
+            mediaSwitch.module = null;
+        }
+    };
+
+    update();
+    return mediaSwitch;
+};
+
+module.exports = {
+    watch: watch,
+    createSwitch: createSwitch
+};
\ No newline at end of file
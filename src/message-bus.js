@@ -0,0 +1,64 @@
+'use strict';
+
+var _ = require('underscore');
+
+/**
+ * @class MessageBus
+ * @description A publish/subscribe channel registry.
+ */
+var MessageBus = function () {
+    this._channels = {};
+};
+
+MessageBus.prototype = {
+
+    /**
+     * Subscribes to messages published on a channel.
+     * @param {string} channel - The channel name
+     * @param {Function} handler - Called with the message data and an object with the channel and source of the message
+     * @param {Object} [context] - The context the handler is called with
+     * @returns {Function} Call to unsubscribe
+     */
+    subscribe: function (channel, handler, context) {
+        var subscription = {handler: handler, context: context};
+        this._channels[channel] = this._channels[channel] || [];
+        this._channels[channel].push(subscription);
+        return function () {
+            this._channels[channel] = _.without(this._channels[channel], subscription);
+        }.bind(this);
+    },
+
+    /**
+     * Removes subscriptions of a channel. When no handler is passed, all subscriptions of the channel are removed.
+     * @param {string} channel - The channel name
+     * @param {Function} [handler] - The handler to remove
+     */
+    unsubscribe: function (channel, handler) {
+        this._channels[channel] = _.reject(this._channels[channel] || [], function (subscription) {
+            return !handler || subscription.handler === handler;
+        });
+    },
+
+    /**
+     * Calls the handlers of all subscriptions of a channel.
+     * @param {string} channel - The channel name
+     * @param {*} [data] - The message data
+     * @param {Object} [source] - Whatever published the message
+     */
+    publish: function (channel, data, source) {
+        // copy so handlers unsubscribing themselves dont affect iteration
+        _.each((this._channels[channel] || []).slice(), function (subscription) {
+            subscription.handler.call(subscription.context, data, {channel: channel, source: source});
+        });
+    },
+
+    /**
+     * Removes all subscriptions.
+     */
+    clear: function () {
+        this._channels = {};
+    }
+
+};
+
+module.exports = MessageBus;
\ No newline at end of file
@@ -3,15 +3,284 @@
 var Promise = require('promise');
 var _ = require('underscore');
 var $ = require('jquery');
-var ResourceManager = require('resource-manager-js');
+var resourceAdapters = require('./resource-adapters');
+var bootstrap = require('./bootstrap');
+var optionParser = require('./option-parser');
+var MessageBus = require('./message-bus');
+var media = require('./media');
+var accessibility = require('./accessibility');
+var detachWatcher = require('./detach-watcher');
+var Router = require('./router');
+var customElement = require('./custom-element');
+
+/**
+ * Creates an AbortController, falling back to a minimal one in browsers that don't support it.
+ * @returns {{signal: Object, abort: Function}}
+ */
+var createAbortController = function () {
+    var listeners = [],
+        signal;
+
+    if (typeof AbortController !== 'undefined') {
+        return new AbortController();
+    }
+
+    signal = {
+        aborted: false,
+        onabort: null,
+        addEventListener: function (type, listener) {
+            if (type === 'abort') {
+                listeners.push(listener);
+            }
+        },
+        removeEventListener: function (type, listener) {
+            listeners = _.without(listeners, listener);
+        }
+    };
+    return {
+        signal: signal,
+        abort: function () {
+            var event = {type: 'abort', target: signal};
+            if (signal.aborted) {
+                return;
+            }
+            signal.aborted = true;
+            if (signal.onabort) {
+                signal.onabort(event);
+            }
+            _.each(listeners, function (listener) {
+                listener.call(signal, event);
+            });
+        }
+    };
+};
+
+/**
+ * Escapes a string to be used as an html attribute value.
+ * @param {string} value
+ * @returns {string}
+ */
+var escapeAttribute = function (value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+};
+
+/**
+ * Gets the longest css transition or animation time (in milliseconds) of an element.
+ * @param {HTMLElement} el
+ * @returns {number}
+ */
+var getTransitionTime = function (el) {
+    var style = typeof window !== 'undefined' && window.getComputedStyle ? window.getComputedStyle(el) : null,
+        toMilliseconds = function (value) {
+            return _.map((value || '').split(','), function (time) {
+                return parseFloat(time) * (time.indexOf('ms') !== -1 ? 1 : 1000) || 0;
+            });
+        },
+        longest = function (durations, delays) {
+            return _.max(_.map(toMilliseconds(durations), function (duration, i) {
+                var delay = toMilliseconds(delays);
+                return duration + (delay[i % delay.length] || 0);
+            }));
+        };
+
+    if (!style) {
+        return 0;
+    }
+    return Math.max(
+        longest(style.transitionDuration, style.transitionDelay),
+        longest(style.animationDuration, style.animationDelay)
+    );
+};
+
+/**
+ * The error a lifecycle hook is rejected with when it doesn't complete within its timeout.
+ * @param {string} hook - The name of the hook that timed out (i.e. "onLoad")
+ * @param {number} timeout - The timeout in milliseconds
+ * @param {string} [phase] - The lifecycle state the module was in when the hook timed out (i.e. "showing")
+ * @constructor
+ */
+var TimeoutError = function (hook, timeout, phase) {
+    this.name = 'TimeoutError';
+    this.message = hook + '() did not complete within ' + timeout + 'ms';
+    this.hook = hook;
+    this.timeout = timeout;
+    this.phase = phase;
+    this.stack = new Error(this.message).stack;
+};
+TimeoutError.prototype = Object.create(Error.prototype);
+TimeoutError.prototype.constructor = TimeoutError;
+
+/**
+ * Lifecycle hooks that are composed, rather than replaced, when a mixin also defines them.
+ * @type {Array}
+ */
+var MIXIN_HOOKS = ['initialize', 'onLoad', 'onShow', 'onHide', 'onEnable', 'onDisable', 'onError', 'onStateChange'];
+
+/**
+ * Object properties that are merged, rather than replaced, when a mixin also defines them.
+ * @type {Array}
+ */
+var MIXIN_MERGED_PROPERTIES = ['events', 'optionSchema', 'initialState'];
+
+/**
+ * Built-in options that can be read from the module element's data attributes and inline JSON,
+ * along with the options declared in the module's optionSchema. Options like template and
+ * templateUrl are left out so that markup can't change what the module runs.
+ * @type {Array}
+ */
+var ELEMENT_OPTIONS = ['loadedClass', 'activeClass', 'disabledClass', 'errorClass', 'loadingClass', 'showingClass',
+    'hidingClass', 'degradedClass', 'enterClass', 'leaveClass', 'subModuleLoading', 'subModuleFailure', 'abortOnHide',
+    'timeout', 'waitForTransition', 'transitionFallback', 'renderOnStateChange', 'lazy', 'lazyShow', 'lazyRootMargin',
+    'media', 'mediaAction', 'accessibility', 'manageFocus', 'destroyOnDetach', 'detachGracePeriod', 'hydrate', 'initialState'];
+
+/**
+ * Lifecycle methods that plugins can wrap.
+ * @type {Array}
+ */
+var PLUGIN_METHODS = ['initialize', 'load', 'show', 'hide', 'enable', 'disable', 'error', 'destroy'];
+
+/**
+ * Plugins added with Module.use(), with the class whose modules they apply to.
+ * @type {Array}
+ */
+var plugins = [];
+
+/**
+ * Gets the plugins that apply to a module, in the order they wrap its methods.
+ * @param {Module} module
+ * @returns {Array}
+ */
+var getPlugins = function (module) {
+    return _.sortBy(_.pluck(_.filter(plugins, function (entry) {
+        return module instanceof entry.ModuleClass;
+    }), 'plugin'), function (plugin) {
+        return plugin.order || 0;
+    });
+};
+
+/**
+ * Wraps the lifecycle methods of a module with those of its plugins, the first plugin being the outermost.
+ * @param {Module} module
+ */
+var applyPlugins = function (module) {
+    _.each(PLUGIN_METHODS, function (method) {
+        _.each(module._plugins.slice().reverse(), function (plugin) {
+            var wrapped = module[method];
+            if (!_.isFunction(plugin[method])) {
+                return;
+            }
+            module[method] = function () {
+                var args = _.toArray(arguments),
+                    next = function () {
+                        return wrapped.apply(module, arguments.length ? arguments : args);
+                    };
+                return plugin[method].apply(module, [next].concat(args));
+            };
+        });
+    });
+};
+
+/**
+ * Errors that have been reported, so that a parent module failing with the error of a sub module
+ * doesn't report it again. Nothing is tracked in browsers that don't support WeakSet.
+ * @type {WeakSet|null}
+ */
+var reportedErrors = typeof WeakSet !== 'undefined' ? new WeakSet() : null;
+
+/**
+ * Gets the name of a module's class: the name it was registered with, its displayName or the name of
+ * the closest native class it extends.
+ * @param {Module} module
+ * @returns {string}
+ */
+var getClassName = function (module) {
+    var proto = Object.getPrototypeOf(module),
+        ModuleClass,
+        name;
+
+    while (proto && !name) {
+        ModuleClass = proto.constructor;
+        name = bootstrap.getName(ModuleClass) || ModuleClass.displayName ||
+            (isNativeClass(ModuleClass) || ModuleClass === Module ? ModuleClass.name : null);
+        proto = Object.getPrototypeOf(proto);
+    }
+    return name || 'Module';
+};
+
+/**
+ * Whether a function is a native (ES2015) class, which can't be called without new.
+ * @param {Function} fn
+ * @returns {boolean}
+ */
+var isNativeClass = function (fn) {
+    return /^class[\s{]/.test(Function.prototype.toString.call(fn));
+};
+
+/**
+ * Whether a value is an object that isn't an array or function.
+ * @param {*} value
+ * @returns {boolean}
+ */
+var isPlainObject = function (value) {
+    return _.isObject(value) && !_.isArray(value) && !_.isFunction(value);
+};
+
+/**
+ * The __super__ property of module classes, which is the prototype of the class they extend.
+ * It is a getter so that native classes extending a module class get it too.
+ * @type {Object}
+ */
+var superProperty = {
+    configurable: true,
+    get: function () {
+        return this === Module ? undefined : Object.getPrototypeOf(this.prototype);
+    }
+};
+
+/**
+ * Combines two implementations of a lifecycle hook into one that calls them in order, waiting for
+ * the first to resolve if it returns a promise, and returns the result of the first.
+ * @param {Function} first
+ * @param {Function} second
+ * @returns {Function}
+ */
+var composeHooks = function (first, second) {
+    return function () {
+        var args = arguments,
+            result = first.apply(this, args),
+            callSecond = function () {
+                var secondResult = second.apply(this, args);
+                return secondResult && secondResult.then ? secondResult.then(function () {
+                    return result;
+                }) : result;
+            }.bind(this);
+
+        if (result && result.then) {
+            return result.then(function (value) {
+                result = value;
+                return callSecond();
+            });
+        }
+        return callSecond();
+    };
+};
 
 /**
  * @class Module
- * @description Base class that represents all modules of an App.
+ * @description Base class that represents all modules of an App. Can be subclassed with Module.extend()
+ * or as a native class (class Carousel extends Module {}).
  */
 var Module = function (options) {
+    this.preinitialize.apply(this, arguments);
+    this._plugins = getPlugins(this);
+    applyPlugins(this);
     this.initialize(options);
 };
+Object.defineProperty(Module, '__super__', superProperty);
 
 /**
  * Extends a class and allows creation of subclasses.
@@ -28,12 +297,20 @@ var extend = function(protoProps, staticProps) {
     // by us to simply call the parent's constructor.
     if (protoProps && _.has(protoProps, 'constructor')) {
         child = protoProps.constructor;
+    } else if (isNativeClass(parent)) {
+        // native classes can only be constructed with new
+        child = function(){ return Reflect.construct(parent, arguments, this.constructor); };
     } else {
         child = function(){ return parent.apply(this, arguments); };
     }
 
     // Add static properties to the constructor function, if supplied.
     _.extend(child, parent, staticProps);
+    // inherit the static properties that aren't copied (like the static methods of native classes)
+    // the same way native subclasses do
+    if (Object.setPrototypeOf) {
+        Object.setPrototypeOf(child, parent);
+    }
 
     // Set the prototype chain to inherit from `parent`, without calling
     // `parent`'s constructor function.
@@ -49,39 +326,749 @@ var extend = function(protoProps, staticProps) {
 
     // Set a convenience property in case the parent's prototype is needed
     // later.
-    child.__super__ = parent.prototype;
+    Object.defineProperty(child, '__super__', superProperty);
 
     return child;
 };
 
+/**
+ * Adds the properties of mixin objects to a module class. Lifecycle hooks (initialize, onLoad, onShow,
+ * onHide, onEnable, onDisable, onError and onStateChange) that the class already has are composed, calling
+ * the class's hook first and then those of the mixins in the order they are passed, each waiting for the
+ * promise of the previous one. The events, optionSchema and initialState objects are merged with the
+ * class's values taking precedence. Other properties are only added when the class doesn't define them itself.
+ * @param {...Object} mixins - The mixin objects
+ * @returns {Function} Returns the class
+ * @example
+ * var Carousel = Module.extend({...}).mixin(swipeable, autoPlay);
+ * class Gallery extends Module {}
+ * Gallery.mixin(swipeable);
+ */
+var mixin = function () {
+    var proto = this.prototype;
+
+    _.each(arguments, function (behavior) {
+        _.each(behavior, function (value, key) {
+            if (_.contains(MIXIN_HOOKS, key) && _.isFunction(proto[key])) {
+                proto[key] = composeHooks(proto[key], value);
+            } else if (_.contains(MIXIN_MERGED_PROPERTIES, key) && isPlainObject(proto[key]) && isPlainObject(value)) {
+                proto[key] = _.extend({}, value, proto[key]);
+            } else if (!_.has(proto, key)) {
+                proto[key] = value;
+            }
+        });
+    });
+    return this;
+};
+
 Module.extend = extend;
 
+Module.mixin = mixin;
+
+/**
+ * Adds a plugin to the modules of a class (and its subclasses) that are created from then on. Calling
+ * Module.use() adds it to all modules. A plugin can wrap the initialize, load, show, hide, enable, disable,
+ * error and destroy methods by implementing them: its implementation is called with the module as its context,
+ * a next function that calls the wrapped method (with the original arguments unless others are passed),
+ * followed by the method's arguments, and should return what next() returns.
+ * @param {Object} plugin
+ * @param {Object} [plugin.options] - Option defaults added to those of the modules, before those of their optionSchema
+ * @param {number} [plugin.order] - Plugins with a lower order wrap those with a higher one, plugins of the same
+ * order wrap in the order they were added (defaults to 0)
+ * @returns {Function} Call to remove the plugin
+ * @example
+ * Carousel.use({
+ *     options: {trackingCategory: 'carousel'},
+ *     show: function (next) {
+ *         return next().then(function () {
+ *             analytics.track(this.options.trackingCategory, 'show');
+ *         }.bind(this));
+ *     }
+ * });
+ */
+Module.use = function (plugin) {
+    var entry = {plugin: plugin, ModuleClass: this};
+    plugins.push(entry);
+    return function () {
+        plugins = _.without(plugins, entry);
+    };
+};
+
+/**
+ * The error lifecycle hooks are rejected with when they time out.
+ * @type {Function}
+ */
+Module.TimeoutError = TimeoutError;
+
+/**
+ * Creates and loads a module on an element using the class whose media query matches,
+ * swapping it for another class's module when a different query matches.
+ * @type {Function}
+ * @example
+ * Module.mediaSwitch(el, {
+ *     '(max-width: 767px)': MobileCarousel,
+ *     '(min-width: 768px)': DesktopCarousel
+ * });
+ */
+Module.mediaSwitch = media.createSwitch;
+
+/**
+ * Router that shows the module of the current url, hiding the previous one.
+ * @type {Function}
+ * @example
+ * var router = new Module.Router({
+ *     routes: {
+ *         '/': homePage,
+ *         '/products/:id': {module: ProductPage, options: {el: document.querySelector('.product')}}
+ *     }
+ * });
+ * router.start();
+ */
+Module.Router = Router;
+
+/**
+ * Registers a custom element that creates, loads and shows a module of a class when added to the
+ * document and destroys it when removed, passing attributes named after its optionSchema options as options.
+ * @type {Function}
+ * @example
+ * Module.defineElement('x-carousel', Carousel);
+ * // <x-carousel interval="3000"></x-carousel>
+ */
+Module.defineElement = customElement.define;
+
+/**
+ * The message bus that globally scoped messages are published on.
+ * @type {MessageBus}
+ */
+Module.bus = new MessageBus();
+
+/**
+ * Registers a module class so it can be created from markup by Module.bootstrap().
+ * @type {Function}
+ */
+Module.register = bootstrap.register;
+
+/**
+ * Removes a module class registered with Module.register().
+ * @type {Function}
+ */
+Module.unregister = bootstrap.unregister;
+
+/**
+ * Creates and loads modules for all [data-module] elements within a root element.
+ * @type {Function}
+ */
+Module.bootstrap = bootstrap.bootstrap;
+
+/**
+ * Destroys all modules created by Module.bootstrap() within a root element.
+ * @type {Function}
+ */
+Module.teardown = bootstrap.teardown;
+
+/**
+ * The template engine adapter render() uses when a module doesn't set its own.
+ * Adapters implement render(template, data), returning the html string.
+ * @type {{render: Function}}
+ */
+Module.templateEngine = {
+    _cache: {},
+    render: function (template, data) {
+        this._cache[template] = this._cache[template] || _.template(template);
+        return this._cache[template](data || {});
+    }
+};
+
+/**
+ * Resource adapters that can be used as Module.resourceAdapter or a module's resourceAdapter:
+ * resourceManager (the default) and createFetchAdapter(config), which uses the native fetch API.
+ * @type {{resourceManager: Object, createFetchAdapter: Function}}
+ */
+Module.resourceAdapters = resourceAdapters;
+
+/**
+ * The resource adapter modules use when they don't set their own.
+ * Adapters implement fetchData(url, options), loadTemplate(url, options) and loadCss(urls, options), each returning
+ * a promise. options.signal is the requesting module's AbortSignal.
+ * @type {{fetchData: Function, loadTemplate: Function, loadCss: Function}}
+ */
+Module.resourceAdapter = resourceAdapters.resourceManager;
+
+/**
+ * The error reporter modules use when they don't set their own. Reporters implement report(e, details), which is
+ * called once for each error with details of the module it occurred in: {module, name, el, phase}, where name is
+ * the module's class name (see getClassName) and phase is the lifecycle state the module was in (i.e. "loading").
+ * @type {{report: Function}}
+ */
+Module.errorReporter = {
+    report: function (e, details) {
+        console.error(details.name + ' error while ' + details.phase, e);
+    }
+};
+
+/**
+ * Called with the error and its report details when an error occurs in a module that doesn't implement
+ * onError() and isn't handled by the onSubModuleError() of any of its parents.
+ * @type {Function|null}
+ */
+Module.onUnhandledError = null;
+
+/**
+ * The states a module goes through during its lifecycle.
+ * @type {{IDLE: string, LOADING: string, LOADED: string, SHOWING: string, SHOWN: string, HIDING: string, ERRORED: string, DESTROYED: string}}
+ */
+Module.states = {
+    IDLE: 'idle',
+    LOADING: 'loading',
+    LOADED: 'loaded',
+    SHOWING: 'showing',
+    SHOWN: 'shown',
+    HIDING: 'hiding',
+    ERRORED: 'errored',
+    DESTROYED: 'destroyed'
+};
+
 Module.prototype = {
 
+    /**
+     * Called by the constructor before initialize(), with the same arguments. Native subclasses can set
+     * properties that initialize() uses (like events, optionSchema and initialState) here,
+     * since class fields are only set once the Module constructor has returned.
+     * @param {Object} [options] - The options the module was created with
+     * @abstract
+     */
+    preinitialize: function (options) {},
+
     /**
      * Initialization.
-     * @param {Object} [options] - An object of options
+     * @param {Object} [options] - An object of options, which take precedence over options read from the
+     * module element's data attributes and <script type="application/json"> child
      * @param {HTMLElement} [options.el] - The module element
      * @param {string} [options.loadedClass] - The class that will be applied to the module element when it is loaded
      * @param {string} [options.activeClass] - The class that will be applied to the module element when it is shown
      * @param {string} [options.disabledClass] - The class that will be applied to the module element when disabled
      * @param {string} [options.errorClass] - The class that will be applied to the module element when it has a load error
+     * @param {string} [options.loadingClass] - The class that will be applied to the module element while it is loading
+     * @param {string} [options.showingClass] - The class that will be applied to the module element while it is being shown
+     * @param {string} [options.hidingClass] - The class that will be applied to the module element while it is being hidden
+     * @param {Array} [options.propagate] - The lifecycle methods ("show", "hide", "enable", "disable") that are also called on sub modules
+     * @param {string} [options.subModuleLoading] - How sub modules are loaded: "parallel", "sequential" or "dependency" (ordered by each sub module's dependsOn option)
+     * @param {Array} [options.dependsOn] - Names of sibling sub modules that must be loaded before this module (when parent uses "dependency" loading)
+     * @param {string} [options.subModuleFailure] - What happens when a sub module fails to load: "fail-fast" (errors the module and rejects load()), "ignore-failed" or "degrade" (both still load the module)
+     * @param {string} [options.degradedClass] - The class that will be applied to the module element when it loads with failed sub modules under the "degrade" policy
+     * @param {boolean} [options.abortOnHide] - Whether hide() aborts the module's signal, cancelling work in progress
+     * @param {Object} [options.retryPolicy] - How load() retries when loading the module's resources or onLoad() fails
+     * @param {number} [options.retryPolicy.attempts] - The number of times to retry before calling error()
+     * @param {number} [options.retryPolicy.delay] - Milliseconds to wait before the first retry
+     * @param {number} [options.retryPolicy.factor] - What the delay is multiplied by for each following retry
+     * @param {Function} [options.retryPolicy.shouldRetry] - Called with the error and attempt number, returning false prevents retrying
+     * @param {number} [options.timeout] - Milliseconds that the onLoad, onShow, onHide, onEnable and onDisable hooks have to complete
+     * @param {Object} [options.hookTimeouts] - Timeouts of specific hooks that override the timeout option (i.e. {onLoad: 10000})
+     * @param {boolean} [options.waitForTransition] - Whether show() and hide() wait for the module element's css transition or animation to end
+     * @param {number} [options.transitionFallback] - Milliseconds after which a transition is considered ended if no transitionend or animationend event fires
+     * @param {string} [options.enterClass] - The class that will be applied to the module element during its show transition
+     * @param {string} [options.leaveClass] - The class that will be applied to the module element during its hide transition
+     * @param {Object} [options.initialState] - The state the module starts with (overrides the module's initialState)
+     * @param {boolean} [options.renderOnStateChange] - Whether the module is rendered with its state whenever its state changes
+     * @param {boolean} [options.lazy] - Whether load() waits until the module element is in the viewport
+     * @param {boolean} [options.lazyShow] - Whether show() waits until the module element is in the viewport
+     * @param {string} [options.lazyRootMargin] - The IntersectionObserver root margin used to detect when the module element is in the viewport
+     * @param {string} [options.media] - A media query that the module should only run when matching
+     * @param {string} [options.mediaAction] - What happens as the media query matches and stops matching: "enable" (enable()/disable()) or "load"
+     * (load() once it matches, then destroy() once it stops matching, after which the module can't be loaded again; use Module.mediaSwitch()
+     * to create a new module each time a query matches)
+     * @param {boolean} [options.accessibility] - Whether the module element's aria-hidden, aria-busy, aria-disabled and inert attributes
+     * are managed, along with the disabled and tabindex attributes of its interactive descendants
+     * @param {boolean} [options.manageFocus] - Whether show() moves focus into the module and hide() restores it to where it was
+     * @param {boolean} [options.destroyOnDetach] - Whether the module is destroyed when its element is removed from the document
+     * @param {number} [options.detachGracePeriod] - Milliseconds an element can be out of the document (i.e. while being moved) before its module is destroyed
+     * @param {boolean} [options.hydrate] - Whether the module element already contains markup rendered by renderToString(), so load() doesn't render it
      */
     initialize: function (options) {
+        var optionErrors = [],
+            el = options && options.el,
+            pluginDefaults = _.extend.apply(_, [{}].concat(_.pluck(this._plugins || [], 'options')));
 
         this.options = _.extend({}, {
             el: null,
             loadedClass: 'module-loaded',
             activeClass: 'module-active',
             disabledClass: 'module-disabled',
-            errorClass: 'module-error'
-        }, options);
+            errorClass: 'module-error',
+            loadingClass: 'module-loading',
+            showingClass: 'module-showing',
+            hidingClass: 'module-hiding',
+            propagate: [],
+            subModuleLoading: 'parallel',
+            dependsOn: [],
+            subModuleFailure: 'fail-fast',
+            degradedClass: 'module-degraded',
+            abortOnHide: false,
+            retryPolicy: null,
+            timeout: 0,
+            hookTimeouts: {},
+            waitForTransition: false,
+            transitionFallback: 1000,
+            enterClass: 'module-entering',
+            leaveClass: 'module-leaving',
+            renderOnStateChange: false,
+            lazy: false,
+            lazyShow: false,
+            lazyRootMargin: '0px',
+            media: null,
+            mediaAction: 'enable',
+            accessibility: false,
+            manageFocus: false,
+            destroyOnDetach: false,
+            detachGracePeriod: 50,
+            hydrate: false
+        }, pluginDefaults, optionParser.getDefaults(this.optionSchema), optionParser.readElementOptions(el, ELEMENT_OPTIONS.concat(_.keys(this.optionSchema || {})), optionErrors), options);
+
+        optionParser.coerce(this.options, this.optionSchema, optionErrors);
+
+        this.cid = _.uniqueId('module');
+        this.state = Module.states.IDLE;
+        this.timedOutHook = null;
+        this._pending = {};
+        this._resetSignal();
 
         this._handleElementInitialState();
 
         this.subModules = {};
+        this.failedSubModules = [];
+        this.degraded = false;
+        this.parent = null;
         this.active = false;
         this.loaded = false;
+        this.hydrated = false;
+
+        this._treeBus = new MessageBus();
+        this._subscriptions = [];
+
+        this._stateData = _.extend({}, this._getOption('initialState'));
+        this._stateBatch = null;
+        this._scheduledRender = null;
+
+        this.delegateEvents();
+        this._watchDetach();
+
+        if (optionErrors.length) {
+            this.error(this._createOptionsError(optionErrors));
+        }
+
+        this._watchMedia();
+    },
+
+    /**
+     * Describes the options the module accepts so that options read from the module element's
+     * data attributes and inline JSON can be converted and validated. Maps option names to a type
+     * ("string", "number", "boolean", "array", "object" or "function") or to an object with
+     * type, default and required properties.
+     * Apart from built-in options like loadedClass and lazy, only the options declared here
+     * are read from the module element.
+     * @type {Object|null}
+     * @example
+     * optionSchema: {
+     *     interval: {type: 'number', default: 3000},
+     *     title: {type: 'string', required: true}
+     * }
+     */
+    optionSchema: null,
+
+    /**
+     * A map of events that are delegated on the module element to methods of the module, in the
+     * format {"event selector": "methodName"}. Leave out the selector to listen on the element itself.
+     * Handlers are not called while the module is disabled.
+     * @type {Object|Function|null}
+     * @example
+     * events: {
+     *     'click .next': 'onNextClick',
+     *     'keydown': function (e) {}
+     * }
+     */
+    events: null,
+
+    /**
+     * Subscribes to messages published on a channel, until unsubscribed or the module is destroyed.
+     * @param {string} channel - The channel name
+     * @param {Function} handler - Called with the message data and an object with the channel and source module
+     * @param {string} [scope] - "global" for messages from any module or "tree" for messages from modules in the same module tree
+     * @returns {Function} Call to unsubscribe
+     */
+    subscribe: function (channel, handler, scope) {
+        var bus = scope === 'tree' ? this._treeBus : Module.bus,
+            unsubscribe = bus.subscribe(channel, handler, this);
+
+        this._subscriptions.push(unsubscribe);
+        return function () {
+            this._subscriptions = _.without(this._subscriptions, unsubscribe);
+            unsubscribe();
+        }.bind(this);
+    },
+
+    /**
+     * Publishes a message on a channel.
+     * @param {string} channel - The channel name
+     * @param {*} [data] - The message data
+     * @param {string} [scope] - "global" to reach all modules or "tree" to reach only modules in the same module tree
+     */
+    publish: function (channel, data, scope) {
+        if (scope === 'tree') {
+            this._walkTree(this._getRootModule(), function (module) {
+                module._treeBus.publish(channel, data, this);
+            });
+        } else {
+            Module.bus.publish(channel, data, this);
+        }
+    },
+
+    /**
+     * Sends a message to each parent module, starting with the closest, by triggering a "message:name" event on it.
+     * A listener returning false stops the message from reaching further parents.
+     * @param {string} name - The message name
+     * @param {*} [data] - The message data
+     */
+    sendUp: function (name, data) {
+        var parent = this.parent;
+        while (parent && parent.trigger('message:' + name, data, this)) {
+            parent = parent.parent;
+        }
+    },
+
+    /**
+     * Sends a message to all nested sub modules by triggering a "message:name" event on each of them.
+     * A listener returning false stops the message from reaching that sub module's own sub modules.
+     * @param {string} name - The message name
+     * @param {*} [data] - The message data
+     */
+    sendDown: function (name, data) {
+        var send = function (module) {
+            _.each(module.subModules, function (subModule) {
+                if (subModule.trigger('message:' + name, data, this)) {
+                    send(subModule);
+                }
+            }, this);
+        }.bind(this);
+        send(this);
+    },
+
+    /**
+     * Gets the top most parent of the module tree the module is in.
+     * @returns {Module}
+     * @private
+     */
+    _getRootModule: function () {
+        var module = this;
+        while (module.parent) {
+            module = module.parent;
+        }
+        return module;
+    },
+
+    /**
+     * Calls a function for a module and all of its nested sub modules.
+     * @param {Module} module
+     * @param {Function} callback - Called with each module, with this module as its context
+     * @private
+     */
+    _walkTree: function (module, callback) {
+        callback.call(this, module);
+        _.each(module.subModules, function (subModule) {
+            this._walkTree(subModule, callback);
+        }, this);
+    },
+
+    /**
+     * The state the module starts with. Not to be confused with the lifecycle state property.
+     * @type {Object|Function|null}
+     */
+    initialState: null,
+
+    /**
+     * A function that fires when the module's state changes
+     * which can be overridden by subclass custom implementations.
+     * @param {Object} changes - The state keys that changed and their new values
+     * @param {Object} previous - The previous values of the changed keys
+     * @abstract
+     */
+    onStateChange: function (changes, previous) {},
+
+    /**
+     * Gets a value of the module's state.
+     * @param {string} key
+     * @returns {*}
+     */
+    get: function (key) {
+        return this._stateData[key];
+    },
+
+    /**
+     * Gets a copy of the module's state.
+     * @returns {Object}
+     */
+    getState: function () {
+        return _.clone(this._stateData);
+    },
+
+    /**
+     * Sets a value of the module's state.
+     * @param {string} key
+     * @param {*} value
+     * @returns {Module}
+     */
+    set: function (key, value) {
+        var changes = {};
+        changes[key] = value;
+        return this.setState(changes);
+    },
+
+    /**
+     * Merges changes into the module's state, triggering a "change:key" event for each key that
+     * changed followed by a single "change" event.
+     * @param {Object} changes
+     * @returns {Module}
+     */
+    setState: function (changes) {
+        var current = this._stateData,
+            changed = {},
+            previous = {};
+
+        _.each(changes, function (value, key) {
+            if (!_.isEqual(current[key], value)) {
+                changed[key] = value;
+                previous[key] = current[key];
+            }
+        });
+        if (_.isEmpty(changed)) {
+            return this;
+        }
+        this._stateData = _.extend({}, current, changed);
+
+        if (this._stateBatch) {
+            _.extend(this._stateBatch.changes, changed);
+            _.defaults(this._stateBatch.previous, previous);
+        } else {
+            this._notifyStateChange(changed, previous);
+        }
+        return this;
+    },
+
+    /**
+     * Calls a function that makes several state changes, notifying about them once it returns.
+     * @param {Function} fn - Called with the module as its context
+     * @returns {Module}
+     */
+    batch: function (fn) {
+        var batch;
+
+        // nested batches are part of the outer batch
+        if (this._stateBatch) {
+            fn.call(this);
+            return this;
+        }
+
+        batch = this._stateBatch = {changes: {}, previous: {}};
+        try {
+            fn.call(this);
+        } finally {
+            this._stateBatch = null;
+        }
+
+        // ignore keys that were changed back to their original values
+        _.each(batch.changes, function (value, key) {
+            if (_.isEqual(value, batch.previous[key])) {
+                delete batch.changes[key];
+                delete batch.previous[key];
+            }
+        });
+        if (!_.isEmpty(batch.changes)) {
+            this._notifyStateChange(batch.changes, batch.previous);
+        }
+        return this;
+    },
+
+    /**
+     * Notifies listeners of state changes and schedules a render when the renderOnStateChange option is set.
+     * @param {Object} changes
+     * @param {Object} previous
+     * @private
+     */
+    _notifyStateChange: function (changes, previous) {
+        _.each(changes, function (value, key) {
+            this.trigger('change:' + key, value, previous[key]);
+        }, this);
+        this.trigger('change', changes, previous);
+        this.onStateChange(changes, previous);
+
+        if (this.options.renderOnStateChange) {
+            this._scheduleRender();
+        }
+    },
+
+    /**
+     * Renders the module with its state once all synchronous state changes have been made.
+     * @returns {Promise}
+     * @private
+     */
+    _scheduleRender: function () {
+        if (!this._scheduledRender) {
+            this._scheduledRender = Promise.resolve().then(function () {
+                this._scheduledRender = null;
+                if (this.state !== Module.states.DESTROYED) {
+                    return this.render(this.getState());
+                }
+            }.bind(this)).catch(function (e) {
+                if (this.state !== Module.states.DESTROYED && !this.signal.aborted) {
+                    return this.error(e);
+                }
+            }.bind(this));
+        }
+        return this._scheduledRender;
+    },
+
+    /**
+     * Binds the events map to the module element, replacing any events that were bound before.
+     * @param {Object} [events] - The events map to bind (defaults to the module's events)
+     * @returns {Module}
+     */
+    delegateEvents: function (events) {
+        var el = this.options.el;
+
+        events = events || _.result(this, 'events');
+        this.undelegateEvents();
+        if (!el || !events) {
+            return this;
+        }
+        _.each(events, function (method, key) {
+            var match = key.match(/^(\S+)\s*(.*)$/),
+                handler = function () {
+                    var callback = _.isFunction(method) ? method : this[method];
+                    if (this.disabled || !callback) {
+                        return;
+                    }
+                    return callback.apply(this, arguments);
+                }.bind(this);
+
+            $(el).on(match[1] + '.' + this.cid, match[2] || null, handler);
+        }, this);
+        return this;
+    },
+
+    /**
+     * Removes all events bound by delegateEvents().
+     * @returns {Module}
+     */
+    undelegateEvents: function () {
+        if (this.options.el) {
+            $(this.options.el).off('.' + this.cid);
+        }
+        return this;
+    },
+
+    /**
+     * Adds a nested module.
+     * @param {string} name - The name to store the sub module under
+     * @param {Module} subModule - The module instance
+     * @returns {Module} Returns the sub module
+     */
+    addSubModule: function (name, subModule) {
+        if (this.subModules[name] && this.subModules[name] !== subModule) {
+            this.removeSubModule(name);
+        }
+        this.subModules[name] = subModule;
+        subModule.parent = this;
+        return subModule;
+    },
+
+    /**
+     * Removes a nested module without destroying it.
+     * @param {string} name - The name of the sub module
+     * @returns {Module|undefined} Returns the removed sub module
+     */
+    removeSubModule: function (name) {
+        var subModule = this.subModules[name];
+        if (subModule) {
+            delete this.subModules[name];
+            if (subModule.parent === this) {
+                subModule.parent = null;
+            }
+        }
+        return subModule;
+    },
+
+    /**
+     * Gets a nested module.
+     * @param {string} name - The name of the sub module
+     * @returns {Module|undefined}
+     */
+    getSubModule: function (name) {
+        return this.subModules[name];
+    },
+
+    /**
+     * Registers a listener for an event triggered by the module.
+     * @param {string} event - The event name (i.e. "load", "beforeShow")
+     * @param {Function} handler - The function to call when the event is triggered
+     * @param {Object} [context] - The context the handler should be called with (defaults to the module)
+     * @returns {Module}
+     */
+    on: function (event, handler, context) {
+        this._events = this._events || {};
+        this._events[event] = this._events[event] || [];
+        this._events[event].push({handler: handler, context: context || this});
+        return this;
+    },
+
+    /**
+     * Registers a listener that is removed after the first time it is called.
+     * @param {string} event - The event name
+     * @param {Function} handler - The function to call when the event is triggered
+     * @param {Object} [context] - The context the handler should be called with
+     * @returns {Module}
+     */
+    once: function (event, handler, context) {
+        var wrapper = function () {
+            this.off(event, wrapper);
+            return handler.apply(context || this, arguments);
+        };
+        wrapper._handler = handler;
+        return this.on(event, wrapper);
+    },
+
+    /**
+     * Removes listeners. When no handler is passed, all listeners of the event are removed
+     * and when no event is passed, all listeners are removed.
+     * @param {string} [event] - The event name
+     * @param {Function} [handler] - The listener to remove
+     * @returns {Module}
+     */
+    off: function (event, handler) {
+        if (!event) {
+            this._events = {};
+        } else if (this._events && this._events[event]) {
+            this._events[event] = _.reject(this._events[event], function (listener) {
+                return !handler || listener.handler === handler || listener.handler._handler === handler;
+            });
+        }
+        return this;
+    },
+
+    /**
+     * Calls all listeners of an event with any additional arguments passed.
+     * @param {string} event - The event name
+     * @returns {boolean} Returns false if any of the listeners returned false
+     */
+    trigger: function (event) {
+        var args = _.rest(arguments),
+            listeners = (this._events && this._events[event]) || [],
+            vetoed = false;
+        // copy so listeners removing themselves (i.e. once()) dont affect iteration
+        _.each(listeners.slice(), function (listener) {
+            if (listener.handler.apply(listener.context, args) === false) {
+                vetoed = true;
+            }
+        });
+        return !vetoed;
     },
 
     /**
@@ -90,8 +1077,9 @@ Module.prototype = {
      * @abstract
      * @return {*} May return a promise when done
      * @param options
+     * @param {AbortSignal} signal - Aborted when the module is destroyed (or hidden when abortOnHide is set)
      */
-    onLoad: function (options) {
+    onLoad: function (options, signal) {
         return Promise.resolve();
     },
 
@@ -147,37 +1135,324 @@ Module.prototype = {
     },
 
     /**
-     * Loads.
-     * @param {Object} [options] - Options
-     * @param {HTMLElement} [options.el] - The modules element (used only if module element wasnt passed in initialize)
-     * @return {Promise}
+     * A function that fires when one of the module's sub modules (or their sub modules) errors,
+     * after the onError() of that sub module.
+     * @param {Object} e - The error object
+     * @param {Module} subModule - The module the error occurred in
+     * @abstract
+     * @returns {*} Return false to stop the error from bubbling to the module's parent, optionally in a promise
+     */
+    onSubModuleError: function (e, subModule) {},
+
+    /**
+     * Loads.
+     * @param {Object} [options] - Options
+     * @param {HTMLElement} [options.el] - The modules element (used only if module element wasnt passed in initialize)
+     * @return {Promise}
+     */
+    load: function (options) {
+        var states = Module.states,
+            signal = this.signal;
+
+        // add element to options
+        if (options && !this.options.el && options.el) {
+            this.options.el = options.el;
+            this.delegateEvents();
+            this._watchDetach();
+        }
+
+        if (this.state === states.DESTROYED) {
+            return Promise.reject(this._createTransitionError('load'));
+        }
+
+        // concurrent calls share the load that is already in progress
+        if (this._pending.load) {
+            return this._pending.load;
+        }
+
+        if (this.loaded) {
+            return Promise.resolve();
+        }
+
+        if (this.options.lazy && this._shouldWaitForViewport()) {
+            this._pending.load = this._whenInViewport().then(function () {
+                this._pending.load = null;
+                // destroying the module resolves the wait, cancelling the load like it cancels others
+                if (this.state !== states.DESTROYED) {
+                    return this.load(options);
+                }
+            }.bind(this));
+            return this._pending.load;
+        }
+
+        if (!this.trigger('beforeLoad', options)) {
+            return Promise.resolve();
+        }
+
+        // a module that was shown (or is being hidden) before it was loaded keeps its state
+        if (!this.active && this.state !== states.HIDING) {
+            this._setState(states.LOADING);
+        }
+
+        // load all subModules
+        this._pending.load = this._loadSubModules().then(function () {
+            return this._retry(function () {
+                return this._loadResources().then(function () {
+                    return this._callHook('onLoad', [options, signal]);
+                }.bind(this));
+            }, signal)
+                .then(function () {
+                    // module was destroyed, errored or cancelled while loading
+                    if (signal.aborted || this.state === states.DESTROYED || this.state === states.ERRORED) {
+                        return;
+                    }
+                    this.loaded = true;
+                    if (this.options.el) {
+                        this.options.el.classList.remove(this.options.errorClass);
+                        this.options.el.classList.add(this.options.loadedClass);
+                    }
+                    // hide() may have settled the module while it was loading, while shown
+                    // and transitioning modules keep their state
+                    if (this.state === states.LOADING || this.state === states.IDLE) {
+                        this._setState(states.LOADED);
+                    }
+                    this.trigger('load', options);
+                }.bind(this))
+                .catch(function (e) {
+                    if (this.state !== states.DESTROYED && !signal.aborted) {
+                        this.error(e);
+                    }
+                    return e;
+                }.bind(this));
+        }.bind(this), function (e) {
+            // sub modules failed to load under the fail-fast policy
+            if (this.state === states.DESTROYED || signal.aborted) {
+                throw e;
+            }
+            return this.error(e).then(function () {
+                throw e;
+            });
+        }.bind(this)).then(function (result) {
+            this._pending.load = null;
+            // loading was cancelled by hide(), so allow it to be loaded again
+            if (signal.aborted && this.state === states.LOADING) {
+                this._setState(states.IDLE);
+            }
+            return result;
+        }.bind(this), function (e) {
+            this._pending.load = null;
+            throw e;
+        }.bind(this));
+
+        return this._pending.load;
+    },
+
+    /**
+     * Loads the module on markup rendered by renderToString(), marking it loaded without fetching its
+     * data and template or rendering it. Its state is restored from the markup's data-initial-state attribute.
+     * @param {Object} [options] - Options passed to load()
+     * @returns {Promise}
+     */
+    hydrate: function (options) {
+        this.options.hydrate = true;
+        return this.load(options);
+    },
+
+    /**
+     * Loads the module right away, even when it is lazy and its element isn't in the viewport yet.
+     * @param {Object} [options] - Options passed to load()
+     * @returns {Promise}
+     */
+    loadNow: function (options) {
+        this._inViewport = true;
+        if (this._viewport) {
+            this._viewport.resolve();
+        }
+        return this.load(options);
+    },
+
+    /**
+     * Whether the module has to wait for its element to be in the viewport. Always false in
+     * browsers that don't support IntersectionObserver.
+     * @returns {boolean}
+     * @private
+     */
+    _shouldWaitForViewport: function () {
+        return !this._inViewport && !!this.options.el &&
+            typeof window !== 'undefined' && !!window.IntersectionObserver;
+    },
+
+    /**
+     * Resolves once the module element intersects the viewport (or loadNow() or destroy() is called).
+     * @returns {Promise}
+     * @private
+     */
+    _whenInViewport: function () {
+        var viewport;
+
+        if (!this._shouldWaitForViewport()) {
+            return Promise.resolve();
+        }
+        if (this._viewport) {
+            return this._viewport.promise;
+        }
+
+        viewport = this._viewport = {};
+        viewport.promise = new Promise(function (resolve) {
+            viewport.resolve = function () {
+                viewport.observer.disconnect();
+                this._viewport = null;
+                resolve();
+            }.bind(this);
+        }.bind(this));
+        viewport.observer = new window.IntersectionObserver(function (entries) {
+            var intersecting = _.some(entries, function (entry) {
+                return entry.isIntersecting || entry.intersectionRatio > 0;
+            });
+            if (intersecting) {
+                this._inViewport = true;
+                viewport.resolve();
+            }
+        }.bind(this), {rootMargin: this.options.lazyRootMargin});
+        viewport.observer.observe(this.options.el);
+        return viewport.promise;
+    },
+
+    /**
+     * Starts watching for the module element to be removed from the document when the destroyOnDetach option is set.
+     * @private
+     */
+    _watchDetach: function () {
+        var el = this.options.el;
+
+        if (!el || !this.options.destroyOnDetach || this._stopDetachWatch) {
+            return;
+        }
+        this._stopDetachWatch = detachWatcher.watch(el, function () {
+            clearTimeout(this._detachTimer);
+            // elements that are moved are back in the document by the end of the grace period
+            this._detachTimer = setTimeout(function () {
+                if (!detachWatcher.isAttached(el) && this.state !== Module.states.DESTROYED) {
+                    this.destroy();
+                }
+            }.bind(this), this.options.detachGracePeriod);
+        }.bind(this));
+    },
+
+    /**
+     * Starts watching the media option's query, applying its current match state once the
+     * constructor is done (so subclasses' initialize() can finish first).
+     * @private
+     */
+    _watchMedia: function () {
+        if (!this.options.media) {
+            return;
+        }
+        this._mediaWatcher = media.watch(this.options.media, this._onMediaChange.bind(this));
+        Promise.resolve().then(function () {
+            if (this._mediaWatcher) {
+                this._onMediaChange(this._mediaWatcher.matches());
+            }
+        }.bind(this));
+    },
+
+    /**
+     * Enables/disables or loads/destroys the module when its media query starts or stops matching.
+     * @param {boolean} matches - Whether the media query matches
+     * @private
+     */
+    _onMediaChange: function (matches) {
+        if (this.state === Module.states.DESTROYED) {
+            return;
+        }
+        if (this.options.mediaAction === 'load') {
+            if (matches) {
+                this.load();
+            } else if (this.loaded || this._pending.load) {
+                this.destroy();
+            }
+            return;
+        }
+        if (!matches && !this.disabled) {
+            this._mediaDisabled = true;
+            this.disable();
+        } else if (matches && this._mediaDisabled) {
+            // only re-enable when the media query was what disabled the module
+            this._mediaDisabled = false;
+            this.enable();
+        }
+    },
+
+    /**
+     * Calls a function again according to the retryPolicy option for as long as the promise it returns rejects.
+     * @param {Function} run - Called with the module as its context, returning a promise
+     * @param {AbortSignal} signal - Stops retrying once aborted
+     * @returns {Promise}
+     * @private
+     */
+    _retry: function (run, signal) {
+        var policy = _.extend({
+                attempts: 0,
+                delay: 300,
+                factor: 2,
+                shouldRetry: function () {
+                    return true;
+                }
+            }, this.options.retryPolicy),
+            attempt;
+
+        attempt = function (count) {
+            return run.call(this).catch(function (e) {
+                if (count >= policy.attempts || signal.aborted || policy.shouldRetry(e, count + 1) === false) {
+                    throw e;
+                }
+                this.trigger('retry', e, count + 1);
+                return new Promise(function (resolve) {
+                    setTimeout(resolve, policy.delay * Math.pow(policy.factor, count));
+                }).then(function () {
+                    if (signal.aborted) {
+                        throw e;
+                    }
+                    return attempt(count + 1);
+                });
+            }.bind(this));
+        }.bind(this);
+
+        return attempt(0);
+    },
+
+    /**
+     * Clears the error state of the module and its error class so that it can be loaded again.
+     * @returns {Module}
      */
-    load: function (options) {
-        var views = _.values(this.subModules);
+    reset: function () {
+        var el = this.options.el,
+            states = Module.states;
 
-        // add element to options
-        if (options) {
-            this.options.el = this.options.el || options.el;
+        if (this.state === states.DESTROYED) {
+            throw this._createTransitionError('reset');
         }
+        if (el) {
+            el.classList.remove(this.options.errorClass);
+        }
+        if (this.state === states.ERRORED) {
+            this._setState(states.IDLE);
+        }
+        this.timedOutHook = null;
+        this.trigger('reset');
+        return this;
+    },
 
-        // load all subModules
-        if (!this.loaded) {
-            return Promise.all(_.invoke(views, 'load')).then(function () {
-                return this._ensurePromise(this.onLoad(options))
-                    .then(function () {
-                        this.loaded = true;
-                        if (this.options.el) {
-                            this.options.el.classList.add(this.options.loadedClass);
-                        }
-                    }.bind(this))
-                    .catch(function (e) {
-                        this.error(e);
-                        return e;
-                    }.bind(this));
-            }.bind(this));
-        } else {
-            return Promise.resolve();
+    /**
+     * Resets the module and loads it again.
+     * @param {Object} [options] - Options passed to load()
+     * @returns {Promise}
+     */
+    retry: function (options) {
+        if (this.state === Module.states.DESTROYED) {
+            return Promise.reject(this._createTransitionError('retry'));
         }
+        return this.reset().load(options);
     },
 
     /**
@@ -188,23 +1463,65 @@ Module.prototype = {
     error: function (err) {
         var el = this.options.el,
             e = err || new Error(),
-            msg = e.message || '';
+            // errors of sub modules were already reported and bubbled by the sub module
+            isNew = !reportedErrors || !_.isObject(e) || !reportedErrors.has(e),
+            // show and hide timeouts are routed here after the module settled back in its resting state
+            phase = e instanceof TimeoutError && e.phase ? e.phase : this.state,
+            details = {module: this, name: getClassName(this), el: el, phase: phase};
 
         if (el) {
             el.classList.add(this.options.errorClass);
         }
-        this.error = true;
         this.loaded = false;
+        if (this.state !== Module.states.DESTROYED) {
+            this._setState(Module.states.ERRORED);
+        }
 
-        console.warn('MODULE ERROR!' + ' ' + msg);
-
-        if (e.stack) {
-            console.log(e.stack);
+        if (isNew) {
+            if (reportedErrors && _.isObject(e)) {
+                reportedErrors.add(e);
+            }
+            (this._getOption('errorReporter') || Module.errorReporter).report(e, details);
         }
+
         return this._ensurePromise(this.onError(e))
             .then(function (customErr) {
-                return customErr || e;
+                var resolvedErr = customErr || e;
+                this.trigger('error', resolvedErr);
+                if (!isNew) {
+                    return resolvedErr;
+                }
+                return this._bubbleError(resolvedErr).then(function (handled) {
+                    if (!handled && this.onError === Module.prototype.onError && Module.onUnhandledError) {
+                        Module.onUnhandledError(resolvedErr, details);
+                    }
+                    return resolvedErr;
+                }.bind(this));
+            }.bind(this));
+    },
+
+    /**
+     * Passes an error of the module to the onSubModuleError() of its parent, and theirs, until one returns false.
+     * @param {Object} e - The error object
+     * @returns {Promise} Resolves with whether any of the parents implement onSubModuleError()
+     * @private
+     */
+    _bubbleError: function (e) {
+        var handled = false;
+        var bubble = function (module) {
+            var parent = module.parent;
+            if (!parent) {
+                return Promise.resolve(handled);
+            }
+            if (parent.onSubModuleError !== Module.prototype.onSubModuleError) {
+                handled = true;
+            }
+            return Promise.resolve(parent.onSubModuleError(e, this)).then(function (result) {
+                return result === false ? handled : bubble(parent);
             });
+        }.bind(this);
+
+        return bubble(this);
     },
 
     /**
@@ -213,11 +1530,24 @@ Module.prototype = {
      */
     enable: function () {
         var el = this.options.el;
+        if (this.state === Module.states.DESTROYED) {
+            return Promise.reject(this._createTransitionError('enable'));
+        }
+        if (!this.trigger('beforeEnable')) {
+            return Promise.resolve();
+        }
         if (el) {
             el.classList.remove(this.options.disabledClass);
         }
+        if (this._disabledRecords) {
+            accessibility.restore(this._disabledRecords);
+            this._disabledRecords = null;
+        }
         this.disabled = false;
-        return this._ensurePromise(this.onEnable());
+        return this._routeTimeout(Promise.all([this._callHook('onEnable'), this._propagate('enable')]).then(function (results) {
+            this.trigger('enable');
+            return results[0];
+        }.bind(this)));
     },
 
     /**
@@ -226,24 +1556,100 @@ Module.prototype = {
      */
     disable: function () {
         var el = this.options.el;
+        if (this.state === Module.states.DESTROYED) {
+            return Promise.reject(this._createTransitionError('disable'));
+        }
+        if (!this.trigger('beforeDisable')) {
+            return Promise.resolve();
+        }
         if (el) {
             el.classList.add(this.options.disabledClass);
         }
+        if (el && this.options.accessibility && !this._disabledRecords) {
+            this._disabledRecords = accessibility.disable(el);
+        }
         this.disabled = true;
-        return this._ensurePromise(this.onDisable());
+        return this._routeTimeout(Promise.all([this._callHook('onDisable'), this._propagate('disable')]).then(function (results) {
+            this.trigger('disable');
+            return results[0];
+        }.bind(this)));
     },
 
     /**
-     * Shows the page.
+     * Shows the page. When called while the module is loading, the module is shown once loading completes.
      * @return {Promise}
      */
     show: function () {
-        var el = this.options.el;
+        var el = this.options.el,
+            states = Module.states,
+            lazyShow,
+            queuedShow,
+            promise;
+
+        if (this.state === states.DESTROYED || this.state === states.ERRORED) {
+            return Promise.reject(this._createTransitionError('show'));
+        }
+        if (this._pending.show) {
+            return this._pending.show;
+        }
+        if (this.options.lazyShow && this._shouldWaitForViewport()) {
+            // a hide() before the element is in the viewport cancels the show
+            lazyShow = this._lazyShow = {};
+            return this._whenInViewport().then(function () {
+                if (this._lazyShow === lazyShow && this.state !== states.DESTROYED) {
+                    this._lazyShow = null;
+                    return this.show();
+                }
+            }.bind(this));
+        }
+        if (this._pending.load) {
+            // a hide() or destroy() while loading cancels the queued show
+            if (!this._queuedShow) {
+                queuedShow = this._queuedShow = {};
+                queuedShow.promise = this._pending.load.then(function () {
+                    if (this._queuedShow === queuedShow) {
+                        this._queuedShow = null;
+                        return this.show();
+                    }
+                }.bind(this), function (e) {
+                    if (this._queuedShow === queuedShow) {
+                        this._queuedShow = null;
+                    }
+                    throw e;
+                }.bind(this));
+            }
+            return this._queuedShow.promise;
+        }
+        if (!this.trigger('beforeShow')) {
+            return Promise.resolve();
+        }
+        // showing overrides any hide that is still in progress
+        this._pending.hide = null;
+
         if (el) {
             el.classList.add(this.options.activeClass);
         }
+        if (this._hiddenRecords) {
+            accessibility.restore(this._hiddenRecords);
+            this._hiddenRecords = null;
+        }
+        if (el && this.options.manageFocus) {
+            // showing a module that is already shown keeps where focus is restored to
+            if (!this.active) {
+                this._returnFocus = document.activeElement;
+            }
+            this._focusRecords = (this._focusRecords || []).concat(accessibility.focus(el));
+        }
         this.active = true;
-        return this._ensurePromise(this.onShow());
+        this._setState(states.SHOWING);
+
+        promise = this._pending.show = this._runTransition(this._withElementTransition(this._callHook('onShow'), this.options.enterClass), function () {
+            this._setState(states.SHOWN);
+            this.trigger('show');
+        });
+        return this._routeTimeout(Promise.all([promise, this._propagate('show')]).then(function (results) {
+            return results[0];
+        }));
     },
 
     /**
@@ -251,12 +1657,391 @@ Module.prototype = {
      * @return {Promise}
      */
     hide: function () {
-        var el = this.options.el;
+        var el = this.options.el,
+            states = Module.states,
+            promise;
+
+        if (this.state === states.DESTROYED) {
+            return Promise.reject(this._createTransitionError('hide'));
+        }
+        if (this._pending.hide) {
+            return this._pending.hide;
+        }
+        this._lazyShow = this._queuedShow = null;
+        if (!this.trigger('beforeHide')) {
+            return Promise.resolve();
+        }
+        if (this.options.abortOnHide) {
+            this._abortController.abort();
+            this._resetSignal();
+        }
+        // hiding overrides any show that is still in progress
+        this._pending.show = null;
+
         if (el) {
             el.classList.remove(this.options.activeClass);
         }
+        // restore focus before the element becomes inert
+        if (el && this._returnFocus && el.contains(document.activeElement)) {
+            this._returnFocus.focus();
+        }
+        this._returnFocus = null;
+        accessibility.restore(this._focusRecords);
+        this._focusRecords = null;
+        if (el && this.options.accessibility && !this._hiddenRecords) {
+            this._hiddenRecords = accessibility.hide(el);
+        }
         this.active = false;
-        return this._ensurePromise(this.onHide());
+        this._setState(states.HIDING);
+
+        promise = this._pending.hide = this._runTransition(this._withElementTransition(this._callHook('onHide'), this.options.leaveClass), function () {
+            this._setState(this._getRestingState());
+            this.trigger('hide');
+        });
+        return this._routeTimeout(Promise.all([promise, this._propagate('hide')]).then(function (results) {
+            return results[0];
+        }));
+    },
+
+    /**
+     * Loads all sub modules in the order set by the subModuleLoading option, handling
+     * any that fail according to the subModuleFailure option.
+     * @returns {Promise}
+     * @private
+     */
+    _loadSubModules: function () {
+        var subModules = this.subModules,
+            names = _.keys(subModules),
+            failed = this.failedSubModules = [],
+            loadSubModule = this._loadSubModule.bind(this),
+            loaded;
+
+        _.each(subModules, function (subModule) {
+            // sub modules can be assigned directly to the subModules object
+            subModule.parent = this;
+        }, this);
+
+        if (this.options.subModuleLoading === 'sequential') {
+            loaded = _.reduce(names, function (promise, name) {
+                return promise.then(function () {
+                    return loadSubModule(name);
+                });
+            }, Promise.resolve());
+        } else if (this.options.subModuleLoading === 'dependency') {
+            loaded = Promise.resolve().then(function () {
+                var loading = {};
+                var loadInOrder = function (name, path) {
+                    var subModule = subModules[name];
+                    if (loading[name]) {
+                        return loading[name];
+                    }
+                    if (!subModule) {
+                        throw new Error('Sub module "' + path[path.length - 1] + '" depends on unknown sub module "' + name + '"');
+                    }
+                    if (_.contains(path, name)) {
+                        throw new Error('Circular sub module dependency: ' + path.concat(name).join(' -> '));
+                    }
+                    loading[name] = Promise.all(_.map(subModule.options.dependsOn, function (dependency) {
+                        return loadInOrder(dependency, path.concat(name));
+                    })).then(function () {
+                        var failedDependency = _.find(subModule.options.dependsOn, function (dependency) {
+                            return _.contains(failed, dependency);
+                        });
+                        if (failedDependency) {
+                            return loadSubModule(name, new Error('Sub module "' + name + '" depends on sub module "' + failedDependency + '" which failed to load'));
+                        }
+                        return loadSubModule(name);
+                    });
+                    return loading[name];
+                };
+                return Promise.all(_.map(names, function (name) {
+                    return loadInOrder(name, []);
+                }));
+            });
+        } else {
+            loaded = Promise.all(_.map(names, function (name) {
+                return loadSubModule(name);
+            }));
+        }
+
+        return loaded.then(function () {
+            if (failed.length && this.options.subModuleFailure === 'degrade') {
+                this.degraded = true;
+                if (this.options.el) {
+                    this.options.el.classList.add(this.options.degradedClass);
+                }
+            }
+            if (failed.length) {
+                this.trigger('subModuleFailure', failed.slice());
+            }
+        }.bind(this));
+    },
+
+    /**
+     * Loads a sub module, marking it with its error class and recording it in failedSubModules
+     * when it fails to load.
+     * @param {string} name - The name of the sub module
+     * @param {Error} [skipError] - When passed, the sub module isn't loaded and fails with this error
+     * @returns {Promise} Only rejects under the fail-fast policy
+     * @private
+     */
+    _loadSubModule: function (name, skipError) {
+        var subModule = this.subModules[name],
+            states = Module.states,
+            loading = skipError ? Promise.reject(skipError) : subModule.load();
+
+        return loading.then(function (result) {
+            // a sub module whose onLoad() fails resolves load() after erroring
+            if (subModule.state === states.ERRORED) {
+                throw result || new Error('Sub module "' + name + '" failed to load');
+            }
+        }).catch(function (e) {
+            var marked = Promise.resolve();
+            this.failedSubModules.push(name);
+            if (subModule.state !== states.ERRORED && subModule.state !== states.DESTROYED) {
+                marked = subModule.error(e);
+            }
+            return marked.then(function () {
+                if (this.options.subModuleFailure === 'fail-fast') {
+                    throw e;
+                }
+            }.bind(this));
+        }.bind(this));
+    },
+
+    /**
+     * Calls a lifecycle method on all sub modules when the propagate option includes it.
+     * @param {string} method - The lifecycle method (i.e. "show")
+     * @returns {Promise}
+     * @private
+     */
+    _propagate: function (method) {
+        if (!_.contains(this.options.propagate, method)) {
+            return Promise.resolve();
+        }
+        return Promise.all(_.invoke(_.values(this.subModules || {}), method));
+    },
+
+    /**
+     * Calls a lifecycle hook, rejecting with a TimeoutError if it doesn't complete within its timeout.
+     * Whatever the hook resolves with after timing out is ignored.
+     * @param {string} hook - The hook name (i.e. "onShow")
+     * @param {Array} [args] - Arguments passed to the hook
+     * @returns {Promise}
+     * @private
+     */
+    _callHook: function (hook, args) {
+        var hookTimeouts = this.options.hookTimeouts || {},
+            timeout = _.has(hookTimeouts, hook) ? hookTimeouts[hook] : this.options.timeout,
+            result = this._ensurePromise(this[hook].apply(this, args || []));
+
+        if (!timeout) {
+            return result;
+        }
+        return new Promise(function (resolve, reject) {
+            var timer = setTimeout(function () {
+                this.timedOutHook = hook;
+                reject(new TimeoutError(hook, timeout, this.state));
+            }.bind(this), timeout);
+
+            result.then(function (value) {
+                clearTimeout(timer);
+                resolve(value);
+            }, function (e) {
+                clearTimeout(timer);
+                reject(e);
+            });
+        }.bind(this));
+    },
+
+    /**
+     * Passes a TimeoutError that a lifecycle method's promise rejects with to error().
+     * @param {Promise} promise
+     * @returns {Promise} Rejects with the same error once error() completes
+     * @private
+     */
+    _routeTimeout: function (promise) {
+        return promise.catch(function (e) {
+            if (!(e instanceof TimeoutError) || this.state === Module.states.DESTROYED) {
+                throw e;
+            }
+            return this.error(e).then(function () {
+                throw e;
+            });
+        }.bind(this));
+    },
+
+    /**
+     * Applies a transition class to the module element until its css transition ends, when the
+     * waitForTransition option is set. Any transition already in progress is interrupted.
+     * @param {Promise} hookPromise - The promise of the lifecycle hook that runs during the transition
+     * @param {string} transitionClass - The class to apply during the transition
+     * @returns {Promise} Resolves with the hook result once both the hook and transition are done
+     * @private
+     */
+    _withElementTransition: function (hookPromise, transitionClass) {
+        var el = this.options.el,
+            transition;
+
+        this._endElementTransition();
+
+        if (!el || !this.options.waitForTransition) {
+            return hookPromise;
+        }
+
+        el.classList.add(transitionClass);
+        transition = this._transition = {};
+        transition.promise = new Promise(function (resolve) {
+            var timer,
+                onEnd = function (e) {
+                    if (e.target === el) {
+                        transition.end();
+                    }
+                };
+
+            transition.end = function () {
+                clearTimeout(timer);
+                el.removeEventListener('transitionend', onEnd);
+                el.removeEventListener('animationend', onEnd);
+                el.classList.remove(transitionClass);
+                if (this._transition === transition) {
+                    this._transition = null;
+                }
+                resolve();
+            }.bind(this);
+
+            if (!getTransitionTime(el)) {
+                transition.end();
+                return;
+            }
+            el.addEventListener('transitionend', onEnd);
+            el.addEventListener('animationend', onEnd);
+            timer = setTimeout(transition.end, this.options.transitionFallback);
+        }.bind(this));
+
+        return Promise.all([hookPromise, transition.promise]).then(function (results) {
+            return results[0];
+        });
+    },
+
+    /**
+     * Ends the module element's transition that is in progress, if any.
+     * @private
+     */
+    _endElementTransition: function () {
+        if (this._transition) {
+            this._transition.end();
+        }
+    },
+
+    /**
+     * Waits for a show or hide hook to complete and calls the callback only if
+     * the transition wasn't overridden by another transition in the meantime.
+     * @param {*} hookResult - What the lifecycle hook returned
+     * @param {Function} callback - Called with the module as its context when the transition completes
+     * @returns {Promise}
+     * @private
+     */
+    _runTransition: function (hookResult, callback) {
+        var promise = this._ensurePromise(hookResult).then(function (result) {
+            if (this._isPending(promise)) {
+                this._pending.show = this._pending.hide = null;
+                callback.call(this);
+            }
+            return result;
+        }.bind(this), function (e) {
+            if (this._isPending(promise)) {
+                this._pending.show = this._pending.hide = null;
+                this._setState(this._getRestingState());
+            }
+            throw e;
+        }.bind(this));
+        return promise;
+    },
+
+    /**
+     * Whether a promise is the show or hide transition currently in progress.
+     * @param {Promise} promise
+     * @returns {boolean}
+     * @private
+     */
+    _isPending: function (promise) {
+        return this._pending.show === promise || this._pending.hide === promise;
+    },
+
+    /**
+     * Gets the state a module settles in when it isn't shown or transitioning.
+     * @returns {string}
+     * @private
+     */
+    _getRestingState: function () {
+        return this.loaded ? Module.states.LOADED : Module.states.IDLE;
+    },
+
+    /**
+     * Changes the state of the module, swapping the state classes on the module element.
+     * @param {string} state - One of Module.states
+     * @private
+     */
+    _setState: function (state) {
+        var el = this.options.el,
+            prevState = this.state,
+            prevClass = this._getStateClass(prevState),
+            nextClass = this._getStateClass(state);
+
+        if (el && prevClass) {
+            el.classList.remove(prevClass);
+        }
+        if (el && nextClass) {
+            el.classList.add(nextClass);
+        }
+        if (el && this.options.accessibility) {
+            if (state === Module.states.LOADING) {
+                el.setAttribute('aria-busy', 'true');
+            } else if (prevState === Module.states.LOADING) {
+                el.removeAttribute('aria-busy');
+            }
+        }
+        this.state = state;
+        if (prevState !== state) {
+            this.trigger('statechange', state, prevState);
+        }
+    },
+
+    /**
+     * Gets the class applied to the module element for a state that is in progress.
+     * @param {string} state - One of Module.states
+     * @returns {string|undefined}
+     * @private
+     */
+    _getStateClass: function (state) {
+        return {
+            loading: this.options.loadingClass,
+            showing: this.options.showingClass,
+            hiding: this.options.hidingClass
+        }[state];
+    },
+
+    /**
+     * Creates the error that is passed to error() when the module is initialized with invalid options.
+     * @param {Array} messages - A message for each invalid option
+     * @returns {Error}
+     * @private
+     */
+    _createOptionsError: function (messages) {
+        var e = new Error('Invalid module options: ' + messages.join('; '));
+        e.optionErrors = messages;
+        return e;
+    },
+
+    /**
+     * Creates the error that rejects a lifecycle method called in a state that doesn't allow it.
+     * @param {string} method - The lifecycle method that was called
+     * @returns {Error}
+     * @private
+     */
+    _createTransitionError: function (method) {
+        return new Error('Module cannot ' + method + ' when it is ' + this.state);
     },
 
     /**
@@ -317,32 +2102,212 @@ Module.prototype = {
         return func;
     },
 
+    /**
+     * The error reporter errors of the module are reported to (defaults to Module.errorReporter).
+     * Can also be passed as an option.
+     * @type {{report: Function}|null}
+     */
+    errorReporter: null,
+
+    /**
+     * The resource adapter used to fetch data, templates and styles (defaults to Module.resourceAdapter).
+     * Can also be passed as an option.
+     * @type {{fetchData: Function, loadTemplate: Function, loadCss: Function}|null}
+     */
+    resourceAdapter: null,
+
     /**
      * Makes a request to get the data for the module.
      * @param {string} url - The url to fetch data from
-     * @param [options] - ajax options
+     * @param [options] - request options passed to the resource adapter (the module's signal is added unless passed)
      * @returns {*}
      */
     fetchData: function (url, options) {
-        return ResourceManager.fetchData(url, options);
+        return this._getResourceAdapter().fetchData(url, this._getRequestOptions(options));
     },
 
     /**
      * Gets the css files for the module.
      * @param cssUrl
+     * @param [options] - request options passed to the resource adapter
      * @return {Promise}
      */
-    getStyles: function (cssUrl) {
-        return ResourceManager.loadCss(cssUrl);
+    getStyles: function (cssUrl, options) {
+        return this._getResourceAdapter().loadCss(cssUrl, this._getRequestOptions(options));
     },
 
     /**
      * Gets the html template for the module.
      * @param templateUrl
+     * @param [options] - request options passed to the resource adapter
      * @returns {Promise|*}
      */
-    getTemplate: function (templateUrl) {
-        return ResourceManager.loadTemplate(templateUrl);
+    getTemplate: function (templateUrl, options) {
+        return this._getResourceAdapter().loadTemplate(templateUrl, this._getRequestOptions(options));
+    },
+
+    /**
+     * Adds the module's signal to request options so that requests are cancelled with the module.
+     * @param {Object} [options]
+     * @returns {Object}
+     * @private
+     */
+    _getRequestOptions: function (options) {
+        return _.extend({signal: this.signal}, options);
+    },
+
+    /**
+     * Replaces the module's signal with a new one that hasn't been aborted.
+     * @private
+     */
+    _resetSignal: function () {
+        this._abortController = createAbortController();
+        this.signal = this._abortController.signal;
+    },
+
+    /**
+     * Gets the resource adapter of the module.
+     * @returns {{fetchData: Function, loadTemplate: Function, loadCss: Function}}
+     * @private
+     */
+    _getResourceAdapter: function () {
+        return this._getOption('resourceAdapter') || Module.resourceAdapter;
+    },
+
+    /**
+     * The url of the html template that render() injects into the module element.
+     * Can also be passed as an option or be a function that returns the url.
+     * @type {string|Function|null}
+     */
+    templateUrl: null,
+
+    /**
+     * A template string used by render() when there is no templateUrl.
+     * @type {string|Function|null}
+     */
+    template: null,
+
+    /**
+     * The url of the data that render() passes to the template.
+     * Can also be passed as an option or be a function that returns the url.
+     * @type {string|Function|null}
+     */
+    dataUrl: null,
+
+    /**
+     * The css file urls that are loaded when the module is loaded, before it is rendered.
+     * Can also be passed as an option or be a function that returns the urls.
+     * @type {Array|Function|null}
+     */
+    styleUrls: null,
+
+    /**
+     * The template engine adapter used by render() (defaults to Module.templateEngine).
+     * Can also be passed as an option.
+     * @type {{render: Function}|null}
+     */
+    templateEngine: null,
+
+    /**
+     * Renders the module's template with its serialized data and injects the result into the module element.
+     * Can be called at any time to re-render, fetching fresh data from dataUrl unless data is passed.
+     * @param {*} [data] - The data to render with instead of fetching it from the dataUrl
+     * @returns {Promise} Resolves with the rendered html
+     */
+    render: function (data) {
+        var signal = this.signal,
+            templateUrl = this._getOption('templateUrl'),
+            dataUrl = this._getOption('dataUrl'),
+            templateEngine = this._getOption('templateEngine') || Module.templateEngine,
+            template = templateUrl ? this.getTemplate(templateUrl) : this._getOption('template');
+
+        if (_.isUndefined(data) && dataUrl) {
+            data = this.fetchData(dataUrl);
+        }
+
+        return Promise.all([template, data]).then(function (results) {
+            var html;
+            if (signal.aborted) {
+                return;
+            }
+            html = templateEngine.render(results[0] || '', this.serializeData(results[1]));
+            if (this.options.el) {
+                this.options.el.innerHTML = html;
+            }
+            this.trigger('render', html);
+            return html;
+        }.bind(this));
+    },
+
+    /**
+     * Loads the module's styles and renders it when it has a template.
+     * @returns {Promise}
+     * @private
+     */
+    _loadResources: function () {
+        var styleUrls = this._getOption('styleUrls'),
+            styles = styleUrls && styleUrls.length ? this.getStyles(styleUrls) : Promise.resolve();
+
+        return this._ensurePromise(styles).then(function () {
+            // the element already has the markup rendered by renderToString()
+            if (this.options.hydrate && !this.hydrated) {
+                this.hydrated = true;
+                return;
+            }
+            if (this._getOption('templateUrl') || this._getOption('template')) {
+                return this.render();
+            }
+        }.bind(this));
+    },
+
+    /**
+     * Renders the module and its sub modules to an html string without needing a DOM (i.e. in Node),
+     * so that the markup can be sent to the browser and hydrated there. The module's markup is wrapped
+     * in an element with its registered data-module name, a data-hydrate attribute and its state
+     * serialized as data-initial-state, followed by the markup of its sub modules. Modules with a templateUrl or
+     * dataUrl need a resource adapter created with Module.resourceAdapters.createFetchAdapter() to render without
+     * a DOM, as the default ResourceManager adapter needs one.
+     * @param {Object} [options]
+     * @param {string} [options.tagName] - The tag name of the wrapping element (defaults to "div")
+     * @param {Object} [options.attributes] - Additional attributes of the wrapping element
+     * @returns {Promise} Resolves with the html
+     */
+    renderToString: function (options) {
+        var subModules = this.subModules,
+            name = bootstrap.getName(this.constructor),
+            hasTemplate = this._getOption('templateUrl') || this._getOption('template');
+
+        options = _.extend({tagName: 'div', attributes: {}}, options);
+
+        // errors thrown while rendering reject rather than throwing
+        return Promise.resolve().then(function () {
+            return Promise.all([
+                hasTemplate ? this.render() : '',
+                Promise.all(_.map(_.keys(subModules), function (subModuleName) {
+                    return subModules[subModuleName].renderToString({attributes: {'data-module-name': subModuleName}});
+                }))
+            ]);
+        }.bind(this)).then(function (results) {
+            var state = this.getState(),
+                attributes = _.extend(name ? {'data-module': name} : {}, options.attributes, {'data-hydrate': 'true'});
+
+            if (!_.isEmpty(state)) {
+                attributes['data-initial-state'] = JSON.stringify(state);
+            }
+            return '<' + options.tagName + _.map(attributes, function (value, key) {
+                return ' ' + key + '="' + escapeAttribute(value) + '"';
+            }).join('') + '>' + (results[0] || '') + results[1].join('') + '</' + options.tagName + '>';
+        }.bind(this));
+    },
+
+    /**
+     * Gets a property from the module options, falling back to the module's own property.
+     * @param {string} name - The property name
+     * @returns {*}
+     * @private
+     */
+    _getOption: function (name) {
+        return !_.isUndefined(this.options[name]) ? this.options[name] : _.result(this, name);
     },
 
     /**
@@ -355,21 +2320,67 @@ Module.prototype = {
     },
 
     /**
-     * Destroys all nested views and cleans up.
+     * Destroys all nested views and cleans up, removing all event listeners once done.
      */
     destroy: function () {
         var subModules = this.subModules;
 
+        if (!this.trigger('beforeDestroy')) {
+            return;
+        }
+
+        // cancel anything still in progress
+        this._lazyShow = this._queuedShow = null;
+        this._abortController.abort();
+        this._endElementTransition();
+        if (this._mediaWatcher) {
+            this._mediaWatcher.stop();
+            this._mediaWatcher = null;
+        }
+        if (this._stopDetachWatch) {
+            this._stopDetachWatch();
+            this._stopDetachWatch = null;
+        }
+        clearTimeout(this._detachTimer);
+        accessibility.restore(this._hiddenRecords);
+        accessibility.restore(this._disabledRecords);
+        accessibility.restore(this._focusRecords);
+        this._hiddenRecords = this._disabledRecords = this._focusRecords = this._returnFocus = null;
+        if (this._viewport) {
+            this._viewport.resolve();
+        }
+        this.undelegateEvents();
+        _.each(this._subscriptions, function (unsubscribe) {
+            unsubscribe();
+        });
+        this._subscriptions = [];
+        this._treeBus.clear();
+
+        if (this.parent) {
+            this.parent.removeSubModule(_.findKey(this.parent.subModules, function (subModule) {
+                return subModule === this;
+            }, this));
+        }
+
         for (var key in subModules) {
             if (subModules.hasOwnProperty(key) && subModules[key]) {
                 subModules[key].destroy();
             }
         }
         this.subModules = {};
+        this.failedSubModules = [];
         this.active = false;
         this.loaded = false;
+        this._pending = {};
+        if (this.degraded && this.options.el) {
+            this.options.el.classList.remove(this.options.degradedClass);
+        }
+        this.degraded = false;
+        this._setState(Module.states.DESTROYED);
 
         this._resetElementInitialState();
+        this.trigger('destroy');
+        this.off();
     }
 
 };
@@ -0,0 +1,255 @@
+'use strict';
+
+var _ = require('underscore');
+
+/**
+ * Data attributes that are used by Module.bootstrap() and never treated as options.
+ * @type {Array}
+ */
+var reservedKeys = ['module', 'moduleName'];
+
+/**
+ * Converts a dashed attribute name to the camel cased option name.
+ * @param {string} name - i.e. "loaded-class"
+ * @returns {string} i.e. "loadedClass"
+ */
+var camelCase = function (name) {
+    return name.replace(/-([a-z])/g, function (match, letter) {
+        return letter.toUpperCase();
+    });
+};
+
+/**
+ * Converts a camel cased option name to the dashed attribute name.
+ * @param {string} name - i.e. "loadedClass"
+ * @returns {string} i.e. "loaded-class"
+ */
+var dashCase = function (name) {
+    return name.replace(/[A-Z]/g, function (letter) {
+        return '-' + letter.toLowerCase();
+    });
+};
+
+/**
+ * Converts a data attribute string to the value it represents, the same way jQuery's data() does.
+ * @param {string} value
+ * @returns {*}
+ */
+var parseAttributeValue = function (value) {
+    if (value === 'true') {
+        return true;
+    }
+    if (value === 'false') {
+        return false;
+    }
+    if (value === 'null') {
+        return null;
+    }
+    if (value !== '' && String(Number(value)) === value) {
+        return Number(value);
+    }
+    if (/^(?:\{[\w\W]*\}|\[[\w\W]*\])$/.test(value)) {
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return value;
+        }
+    }
+    return value;
+};
+
+/**
+ * Parses a string as JSON, returning undefined when it isn't valid.
+ * @param {string} value
+ * @returns {*}
+ */
+var parseJSON = function (value) {
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return undefined;
+    }
+};
+
+/**
+ * Converts values to the types that can be declared in an option schema.
+ * Each returns undefined when the value cannot be converted.
+ */
+var converters = {
+    string: function (value) {
+        if (_.isString(value)) {
+            return value;
+        }
+        if (_.isNumber(value) || _.isBoolean(value)) {
+            return String(value);
+        }
+    },
+    number: function (value) {
+        if (_.isNumber(value) && !_.isNaN(value)) {
+            return value;
+        }
+        if (_.isString(value) && value.trim() !== '' && !_.isNaN(Number(value))) {
+            return Number(value);
+        }
+    },
+    boolean: function (value) {
+        if (_.isBoolean(value)) {
+            return value;
+        }
+        // a data attribute without a value (i.e. data-autoplay) is true
+        if (value === '' || value === 'true' || value === 1 || value === '1') {
+            return true;
+        }
+        if (value === 'false' || value === 0 || value === '0') {
+            return false;
+        }
+    },
+    array: function (value) {
+        value = _.isString(value) ? parseJSON(value) : value;
+        if (_.isArray(value)) {
+            return value;
+        }
+    },
+    object: function (value) {
+        value = _.isString(value) ? parseJSON(value) : value;
+        if (_.isObject(value) && !_.isArray(value) && !_.isFunction(value)) {
+            return value;
+        }
+    },
+    function: function (value) {
+        if (_.isFunction(value)) {
+            return value;
+        }
+    }
+};
+
+/**
+ * Normalizes a schema so that each option is described by an object.
+ * @param {Object} [schema] - A map of option names to either a type string or an object with type, default and required
+ * @returns {Object}
+ */
+var normalizeSchema = function (schema) {
+    return _.mapObject(schema || {}, function (definition) {
+        return _.isString(definition) ? {type: definition} : definition;
+    });
+};
+
+module.exports = {
+
+    /**
+     * Gets the name of the (non data) attribute an option is read from by readAttributes().
+     * @type {Function}
+     */
+    getAttributeName: dashCase,
+
+    /**
+     * Reads options from an element's data attributes and from the JSON of a
+     * <script type="application/json"> child, which takes precedence. Anything other
+     * than the given options is ignored.
+     * @param {HTMLElement} [el] - The module element
+     * @param {Array} names - The names of the options that can be read
+     * @param {Array} errors - Array that any errors are added to
+     * @returns {Object}
+     */
+    readElementOptions: function (el, names, errors) {
+        var options = {},
+            script,
+            json;
+
+        if (!el || !el.attributes) {
+            return options;
+        }
+
+        _.each(el.attributes, function (attr) {
+            var key;
+            if (attr.name.indexOf('data-') === 0) {
+                key = camelCase(attr.name.substr(5));
+                if (_.contains(names, key) && !_.contains(reservedKeys, key)) {
+                    options[key] = parseAttributeValue(attr.value);
+                }
+            }
+        });
+
+        script = _.find(el.children, function (child) {
+            return child.tagName === 'SCRIPT' && child.getAttribute('type') === 'application/json';
+        });
+        if (script) {
+            json = parseJSON(script.textContent);
+            if (_.isObject(json) && !_.isArray(json)) {
+                _.extend(options, _.pick(json, names));
+            } else {
+                errors.push('Inline JSON options must be a valid JSON object');
+            }
+        }
+        return options;
+    },
+
+    /**
+     * Reads options from an element's attributes that are named after them (i.e. "auto-play" for autoPlay).
+     * @param {HTMLElement} el
+     * @param {Array} names - The names of the options to read
+     * @returns {Object}
+     */
+    readAttributes: function (el, names) {
+        var options = {};
+        _.each(names, function (name) {
+            var attributeName = dashCase(name);
+            if (el.hasAttribute(attributeName)) {
+                options[name] = parseAttributeValue(el.getAttribute(attributeName));
+            }
+        });
+        return options;
+    },
+
+    /**
+     * Gets the default values declared in an option schema.
+     * @param {Object} [schema]
+     * @returns {Object}
+     */
+    getDefaults: function (schema) {
+        var defaults = {};
+        _.each(normalizeSchema(schema), function (definition, key) {
+            if (!_.isUndefined(definition.default)) {
+                defaults[key] = definition.default;
+            }
+        });
+        return defaults;
+    },
+
+    /**
+     * Converts options to the types declared in an option schema, in place.
+     * @param {Object} options - The options to convert
+     * @param {Object} [schema]
+     * @param {Array} errors - Array that any errors are added to
+     * @returns {Object} Returns the options
+     */
+    coerce: function (options, schema, errors) {
+        _.each(normalizeSchema(schema), function (definition, key) {
+            var value = options[key],
+                converter = converters[definition.type],
+                converted;
+
+            if (_.isUndefined(value) || _.isNull(value)) {
+                if (definition.required) {
+                    errors.push('Option "' + key + '" is required');
+                }
+                return;
+            }
+            if (!definition.type) {
+                return;
+            }
+            if (!converter) {
+                errors.push('Option "' + key + '" has unknown type "' + definition.type + '"');
+                return;
+            }
+            converted = converter(value);
+            if (_.isUndefined(converted)) {
+                errors.push('Option "' + key + '" must be a ' + definition.type + ' but was ' + JSON.stringify(value));
+            } else {
+                options[key] = converted;
+            }
+        });
+        return options;
+    }
+
+};
\ No newline at end of file
@@ -0,0 +1,145 @@
+'use strict';
+
+var Promise = require('promise');
+var _ = require('underscore');
+
+/**
+ * Calls a method of ResourceManager, which is only required once it is used because it needs a DOM.
+ * Rejects when there is no DOM (i.e. when rendering on a server).
+ * @param {string} method - The method name
+ * @param {Array} args - The method arguments
+ * @returns {Promise}
+ */
+var callResourceManager = function (method, args) {
+    var ResourceManager;
+    if (typeof document === 'undefined') {
+        return Promise.reject(new Error('ResourceManager needs a DOM, use createFetchAdapter() to load resources without one'));
+    }
+    ResourceManager = require('resource-manager-js');
+    return ResourceManager[method].apply(ResourceManager, args);
+};
+
+/**
+ * Adapter that loads resources with ResourceManager.
+ * @type {{fetchData: Function, loadTemplate: Function, loadCss: Function}}
+ */
+var resourceManager = {
+    fetchData: function (url, options) {
+        return callResourceManager('fetchData', [url, options]);
+    },
+    loadTemplate: function (url) {
+        return callResourceManager('loadTemplate', [url]);
+    },
+    loadCss: function (urls) {
+        return callResourceManager('loadCss', [urls]);
+    }
+};
+
+/**
+ * Creates an adapter that loads resources with the native fetch API.
+ * @param {Object} [config] - Adapter configuration
+ * @param {Object} [config.headers] - Headers sent with every request
+ * @param {string} [config.credentials] - The fetch credentials mode
+ * @param {Function} [config.fetch] - The fetch implementation to use (defaults to the global fetch)
+ * @returns {{fetchData: Function, loadTemplate: Function, loadCss: Function}}
+ */
+var createFetchAdapter = function (config) {
+    var templates = {},
+        styles = {};
+
+    config = _.extend({
+        headers: {},
+        credentials: 'same-origin',
+        fetch: null
+    }, config);
+
+    var request = function (url, options) {
+        var fetchFn = config.fetch || (typeof fetch === 'function' ? fetch : null);
+        options = options || {};
+        if (!fetchFn) {
+            return Promise.reject(new Error('fetch is not available, unable to request ' + url));
+        }
+        return Promise.resolve(fetchFn(url, _.extend({credentials: config.credentials}, options, {
+            headers: _.extend({}, config.headers, options.headers)
+        }))).then(function (response) {
+            var e;
+            if (!response.ok) {
+                e = new Error('Request to ' + url + ' failed with status ' + response.status);
+                e.status = response.status;
+                e.response = response;
+                throw e;
+            }
+            return response;
+        });
+    };
+
+    // cached requests are shared by every module that asks for the url, so one module's signal
+    // mustn't abort them; modules ignore results that arrive after their own signal aborted
+    var requestShared = function (url, options) {
+        return request(url, _.omit(options || {}, 'signal'));
+    };
+
+    var loadStyle = function (url, options) {
+        styles[url] = styles[url] || requestShared(url, options).then(function (response) {
+            return response.text();
+        }).then(function (css) {
+            var style = document.createElement('style');
+            style.setAttribute('data-href', url);
+            style.textContent = css;
+            document.head.appendChild(style);
+        }, function (e) {
+            delete styles[url];
+            throw e;
+        });
+        return styles[url];
+    };
+
+    return {
+
+        /**
+         * Fetches data, parsing it as JSON when the response says it is JSON.
+         * @param {string} url
+         * @param {Object} [options] - fetch options
+         * @returns {Promise}
+         */
+        fetchData: function (url, options) {
+            return request(url, options).then(function (response) {
+                var contentType = response.headers && response.headers.get('Content-Type') || '';
+                return contentType.indexOf('json') !== -1 ? response.json() : response.text();
+            });
+        },
+
+        /**
+         * Fetches a template once, resolving with its html.
+         * @param {string} url
+         * @param {Object} [options] - fetch options (the signal is ignored as the request is shared)
+         * @returns {Promise}
+         */
+        loadTemplate: function (url, options) {
+            templates[url] = templates[url] || requestShared(url, options).then(function (response) {
+                return response.text();
+            }, function (e) {
+                delete templates[url];
+                throw e;
+            });
+            return templates[url];
+        },
+
+        /**
+         * Fetches css files once each and adds them to the document head.
+         * @param {string|Array} urls
+         * @param {Object} [options] - fetch options (the signal is ignored as the requests are shared)
+         * @returns {Promise}
+         */
+        loadCss: function (urls, options) {
+            return Promise.all(_.map(_.flatten([urls]), function (url) {
+                return loadStyle(url, options);
+            }));
+        }
+    };
+};
+
+module.exports = {
+    resourceManager: resourceManager,
+    createFetchAdapter: createFetchAdapter
+};
\ No newline at end of file
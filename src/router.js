@@ -0,0 +1,256 @@
+'use strict';
+
+var Promise = require('promise');
+var _ = require('underscore');
+
+/**
+ * Converts a route pattern to a regular expression and the names of its params.
+ * @param {string} pattern - i.e. "/products/:id" or "/docs/*"
+ * @returns {{regExp: RegExp, keys: Array}}
+ */
+var compilePattern = function (pattern) {
+    var keys = [],
+        source = pattern
+            .replace(/[\-\[\]{}()+?.,\\\^$|#\s]/g, '\\$&')
+            .replace(/:(\w+)/g, function (match, key) {
+                keys.push(key);
+                return '([^/?]+)';
+            })
+            .replace(/\*(\w+)?/g, function (match, key) {
+                keys.push(key || 'splat');
+                return '(.*)';
+            });
+    return {regExp: new RegExp('^' + source + '/?$'), keys: keys};
+};
+
+/**
+ * Parses a query string into an object.
+ * @param {string} queryString - i.e. "page=2&sort=asc"
+ * @returns {Object}
+ */
+var parseQuery = function (queryString) {
+    return _.reduce((queryString || '').split('&'), function (query, pair) {
+        var parts = pair.split('=');
+        if (parts[0]) {
+            query[decodeURIComponent(parts[0])] = decodeURIComponent((parts[1] || '').replace(/\+/g, ' '));
+        }
+        return query;
+    }, {});
+};
+
+/**
+ * @class Router
+ * @description Maps url paths to modules, showing the module of the current url and hiding the previous one.
+ * @param {Object} options - Router options
+ * @param {Object} options.routes - A map of path patterns (i.e. "/products/:id") to a module class, a module instance
+ * or an object with a module class and the options it is created with ({module: ProductPage, options: {el: el}})
+ * @param {string} [options.mode] - "history" to use history.pushState() urls or "hash" to use hash urls
+ */
+var Router = function (options) {
+    this.options = _.extend({
+        routes: {},
+        mode: 'history'
+    }, options);
+
+    this.routes = _.map(this.options.routes, function (route, pattern) {
+        return _.extend(compilePattern(pattern), {pattern: pattern, route: route});
+    });
+    this.current = null;
+    this._onUrlChange = function () {
+        var path = this.getPath();
+        // navigate() already handled urls it changed
+        if (!this.current || this.current.path !== path) {
+            // there is no caller to reject, the modules report their own errors
+            this._handle(path).catch(function () {});
+        }
+    }.bind(this);
+};
+
+Router.prototype = {
+
+    /**
+     * Starts listening for url changes and shows the module of the current url.
+     * @returns {Promise}
+     */
+    start: function () {
+        window.addEventListener(this.options.mode === 'hash' ? 'hashchange' : 'popstate', this._onUrlChange);
+        return this._handle(this.getPath());
+    },
+
+    /**
+     * Stops listening for url changes.
+     */
+    stop: function () {
+        window.removeEventListener('hashchange', this._onUrlChange);
+        window.removeEventListener('popstate', this._onUrlChange);
+    },
+
+    /**
+     * Gets the current path, including its query string.
+     * @returns {string}
+     */
+    getPath: function () {
+        var location = window.location;
+        if (this.options.mode === 'hash') {
+            return location.hash.replace(/^#/, '') || '/';
+        }
+        return location.pathname + location.search;
+    },
+
+    /**
+     * Changes the url and shows the module of the path.
+     * @param {string} path - i.e. "/products/3?tab=reviews"
+     * @param {Object} [options]
+     * @param {boolean} [options.replace] - Whether to replace the current history entry instead of adding one
+     * @returns {Promise} Resolves with the module that was shown or null when no route matches
+     */
+    navigate: function (path, options) {
+        options = options || {};
+        if (this.options.mode === 'hash') {
+            if (options.replace) {
+                window.location.replace('#' + path);
+            } else {
+                window.location.hash = path;
+            }
+        } else {
+            window.history[options.replace ? 'replaceState' : 'pushState']({}, '', path);
+        }
+        return this._handle(path);
+    },
+
+    /**
+     * Finds the route that matches a path.
+     * @param {string} path
+     * @returns {{route: *, params: Object, query: Object, path: string}|null}
+     */
+    match: function (path) {
+        var parts = path.split('?'),
+            pathname = parts[0],
+            match = null;
+
+        _.find(this.routes, function (route) {
+            var result = route.regExp.exec(pathname);
+            if (result) {
+                match = {
+                    route: route.route,
+                    path: path,
+                    params: _.object(route.keys, _.map(result.slice(1), function (value) {
+                        return value && decodeURIComponent(value);
+                    })),
+                    query: parseQuery(parts[1])
+                };
+            }
+            return result;
+        });
+        return match;
+    },
+
+    /**
+     * Hides the current module and loads and shows the module of a path.
+     * @param {string} path
+     * @returns {Promise}
+     * @private
+     */
+    _handle: function (path) {
+        var match = this.match(path),
+            previous = this.current,
+            current,
+            module;
+
+        if (!match) {
+            return Promise.resolve(null);
+        }
+        if (previous && previous.path === path) {
+            return Promise.resolve(previous.module);
+        }
+
+        module = this._getModule(match.route);
+        current = this.current = {path: path, params: match.params, query: match.query, module: module};
+
+        // the same module instance handles a different path of its route
+        if (previous && previous.module === module) {
+            module.trigger('route', match.params, match.query);
+            return Promise.resolve(module);
+        }
+
+        return Promise.all([
+            previous ? this._leave(previous) : null,
+            module.load({params: match.params, query: match.query, path: path}).then(function (result) {
+                // load() resolves with the error of a module that failed to load
+                if (!module.loaded && module.state !== 'destroyed' && this.current === current) {
+                    throw result || new Error('Module of route "' + path + '" did not load');
+                }
+            }.bind(this))
+        ]).then(function () {
+            // a later navigation replaced this one
+            if (this.current !== current) {
+                this._discard(module);
+                return null;
+            }
+            module.trigger('route', match.params, match.query);
+            return module.show().then(function () {
+                return module;
+            });
+        }.bind(this)).catch(function (e) {
+            if (this.current === current) {
+                this.current = null;
+            }
+            this._discard(module);
+            throw e;
+        }.bind(this));
+    },
+
+    /**
+     * Destroys a module of a route that won't be shown, if the router created it.
+     * @param {Module} module
+     * @private
+     */
+    _discard: function (module) {
+        if (!this._isRouteInstance(module) && module.state !== 'destroyed') {
+            module.destroy();
+        }
+    },
+
+    /**
+     * Hides the module of a previous route, destroying it if the router created it.
+     * @param {Object} previous
+     * @returns {Promise}
+     * @private
+     */
+    _leave: function (previous) {
+        return previous.module.hide().then(function () {
+            if (!this._isRouteInstance(previous.module)) {
+                previous.module.destroy();
+            }
+        }.bind(this));
+    },
+
+    /**
+     * Gets the module to show for a route, creating a new one when the route is a class.
+     * @param {Function|Object} route
+     * @returns {Module}
+     * @private
+     */
+    _getModule: function (route) {
+        if (_.isFunction(route)) {
+            return new route();
+        }
+        if (route.module && _.isFunction(route.module)) {
+            return new route.module(_.extend({}, route.options));
+        }
+        return route;
+    },
+
+    /**
+     * Whether a module was passed to the router as a route, rather than created by it.
+     * @param {Module} module
+     * @returns {boolean}
+     * @private
+     */
+    _isRouteInstance: function (module) {
+        return _.contains(_.pluck(this.routes, 'route'), module);
+    }
+
+};
+
+module.exports = Router;
\ No newline at end of file
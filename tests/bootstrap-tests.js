@@ -0,0 +1,72 @@
+var sinon = require('sinon');
+var assert = require('assert');
+var Promise = require('promise');
+
+describe('Bootstrap', function () {
+
+    it('should create and load registered module for element with matching data-module attribute', function () {
+        var Module = require('../src/module');
+        var onLoadSpy = sinon.spy();
+        var Carousel = Module.extend({onLoad: onLoadSpy});
+        var root = document.createElement('div');
+        root.innerHTML = '<div data-module="carousel"></div>';
+        Module.register('carousel', Carousel);
+        return Module.bootstrap(root).then(function (modules) {
+            assert.equal(modules.length, 1, 'one module was created');
+            assert.ok(modules[0] instanceof Carousel, 'module is an instance of the registered class');
+            assert.equal(modules[0].options.el, root.firstChild, 'module was created with the element');
+            assert.equal(onLoadSpy.callCount, 1, 'module was loaded');
+            Module.teardown(root);
+            Module.unregister('carousel');
+        });
+    });
+
+    it('should add modules of nested elements as sub modules', function () {
+        var Module = require('../src/module');
+        var root = document.createElement('div');
+        root.innerHTML = '<div data-module="page"><div data-module="slide" data-module-name="first"></div><div data-module="slide"></div></div>';
+        Module.register('page', Module.extend());
+        Module.register('slide', Module.extend());
+        return Module.bootstrap(root).then(function (modules) {
+            var page = modules[0];
+            assert.equal(modules.length, 3, 'all modules were created');
+            assert.equal(page.getSubModule('first'), modules[1], 'sub module was named after data-module-name attribute');
+            assert.equal(page.getSubModule('slide'), modules[2], 'sub module was named after data-module attribute');
+            assert.equal(modules[1].parent, page);
+            assert.ok(modules[2].loaded, 'sub module was loaded');
+            Module.teardown(root);
+            Module.unregister('page');
+            Module.unregister('slide');
+        });
+    });
+
+    it('should destroy all created modules when teardown() is called', function () {
+        var Module = require('../src/module');
+        var root = document.createElement('div');
+        root.innerHTML = '<div data-module="page"><div data-module="slide"></div></div>';
+        Module.register('page', Module.extend());
+        Module.register('slide', Module.extend());
+        return Module.bootstrap(root).then(function (modules) {
+            Module.teardown(root);
+            assert.equal(modules[0].state, 'destroyed', 'parent module was destroyed');
+            assert.equal(modules[1].state, 'destroyed', 'sub module was destroyed');
+            return Module.bootstrap(root);
+        }).then(function (modules) {
+            assert.equal(modules.length, 2, 'elements can be bootstrapped again after teardown');
+            Module.teardown(root);
+            Module.unregister('page');
+            Module.unregister('slide');
+        });
+    });
+
+    it('should reject when an element references a module that was not registered', function () {
+        var Module = require('../src/module');
+        var root = document.createElement('div');
+        root.innerHTML = '<div data-module="unknown"></div>';
+        return Module.bootstrap(root).then(function () {
+            throw new Error('bootstrap() should have been rejected');
+        }, function (e) {
+            assert.ok(/unknown/.test(e.message));
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,86 @@
+var sinon = require('sinon');
+var assert = require('assert');
+var Promise = require('promise');
+
+describe('Custom Element', function () {
+
+    var origErrorReporter;
+
+    beforeEach(function () {
+        var Module = require('../src/module');
+        // errors are triggered on purpose, so keep them out of the test output
+        origErrorReporter = Module.errorReporter;
+        Module.errorReporter = {report: function () {}};
+    });
+
+    afterEach(function () {
+        var Module = require('../src/module');
+        Module.errorReporter = origErrorReporter;
+    });
+
+    it('should create, load and show module with element and attribute options when element is added to the document', function () {
+        var Module = require('../src/module');
+        var onLoadSpy = sinon.spy();
+        var onShowSpy = sinon.spy();
+        var Carousel = Module.extend({
+            optionSchema: {interval: 'number', autoPlay: {type: 'boolean', default: false}},
+            onLoad: onLoadSpy,
+            onShow: onShowSpy
+        });
+        var ElementClass = Module.defineElement('x-carousel', Carousel);
+        var el = document.createElement('x-carousel');
+        assert.ok(el instanceof ElementClass, 'element is an instance of the custom element class');
+        assert.deepEqual(ElementClass.observedAttributes, ['interval', 'auto-play']);
+        el.setAttribute('interval', '3000');
+        el.setAttribute('auto-play', '');
+        assert.equal(el.module, null, 'module was not created before element was added to the document');
+        document.body.appendChild(el);
+        assert.ok(el.module instanceof Carousel, 'module was created');
+        assert.equal(el.module.options.el, el, 'module was created with the element');
+        assert.strictEqual(el.module.options.interval, 3000);
+        assert.strictEqual(el.module.options.autoPlay, true);
+        return el.ready.then(function (module) {
+            assert.equal(module, el.module);
+            assert.equal(onLoadSpy.callCount, 1, 'module was loaded');
+            assert.equal(onShowSpy.callCount, 1, 'module was shown');
+            document.body.removeChild(el);
+        });
+    });
+
+    it('should destroy module when element is removed from the document', function () {
+        var Module = require('../src/module');
+        var destroySpy = sinon.spy(Module.prototype, 'destroy');
+        var el;
+        Module.defineElement('x-removed', Module.extend());
+        el = document.createElement('x-removed');
+        document.body.appendChild(el);
+        return el.ready.then(function (module) {
+            document.body.removeChild(el);
+            assert.equal(destroySpy.callCount, 1, 'module was destroyed');
+            assert.equal(module.state, 'destroyed');
+            assert.equal(el.module, null);
+            destroySpy.restore();
+        });
+    });
+
+    it('should update module option and trigger optionchange event when an observed attribute changes', function () {
+        var Module = require('../src/module');
+        var onOptionChangeSpy = sinon.spy();
+        var el;
+        Module.defineElement('x-slider', Module.extend({
+            optionSchema: {interval: {type: 'number', default: 1000}}
+        }));
+        el = document.createElement('x-slider');
+        document.body.appendChild(el);
+        el.module.on('optionchange', onOptionChangeSpy);
+        el.setAttribute('interval', '500');
+        assert.strictEqual(el.module.options.interval, 500, 'option was updated');
+        assert.deepEqual(onOptionChangeSpy.args[0], ['interval', 500, 1000]);
+        el.removeAttribute('interval');
+        assert.strictEqual(el.module.options.interval, 1000, 'option was reset to its default when attribute was removed');
+        el.setAttribute('interval', 'fast');
+        assert.equal(el.module.state, 'errored', 'module errored when attribute value was invalid');
+        assert.strictEqual(el.module.options.interval, 1000, 'option was not changed');
+        document.body.removeChild(el);
+    });
+});
\ No newline at end of file
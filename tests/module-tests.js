@@ -5,6 +5,20 @@ var ResourceManager = require('resource-manager-js');
 
 describe('Module', function () {
 
+    var origErrorReporter;
+
+    beforeEach(function () {
+        var Module = require('../src/module');
+        // errors are triggered on purpose, so keep them out of the test output
+        origErrorReporter = Module.errorReporter;
+        Module.errorReporter = {report: function () {}};
+    });
+
+    afterEach(function () {
+        var Module = require('../src/module');
+        Module.errorReporter = origErrorReporter;
+    });
+
     it('should return correct instance when extending', function () {
         var Module = require('../src/module');
         var prop = 'myProp';
@@ -432,4 +446,1685 @@ describe('Module', function () {
             onErrorStub.restore();
         });
     });
+
+    it('should call listeners registered with on() when load() completes', function () {
+        var Module = require('../src/module');
+        var module = new Module();
+        var loadSpy = sinon.spy();
+        var mockOptions = {my: 'options'};
+        module.on('load', loadSpy);
+        return module.load(mockOptions).then(function () {
+            assert.equal(loadSpy.callCount, 1, 'load listener was called');
+            assert.deepEqual(loadSpy.args[0][0], mockOptions, 'load listener was passed load options');
+            module.destroy();
+        });
+    });
+
+    it('should NOT call onShow() when a beforeShow listener returns false', function () {
+        var Module = require('../src/module');
+        var module = new Module();
+        var onShowSpy = sinon.spy(module, 'onShow');
+        var showSpy = sinon.spy();
+        module.on('beforeShow', function () {
+            return false;
+        });
+        module.on('show', showSpy);
+        return module.show().then(function () {
+            assert.equal(onShowSpy.callCount, 0, 'onShow() was not called');
+            assert.equal(showSpy.callCount, 0, 'show event was not triggered');
+            assert.equal(module.active, false, 'module is not active');
+            module.destroy();
+        });
+    });
+
+    it('should only call a listener registered with once() the first time an event is triggered', function () {
+        var Module = require('../src/module');
+        var module = new Module();
+        var hideSpy = sinon.spy();
+        module.once('hide', hideSpy);
+        return module.hide().then(function () {
+            return module.hide();
+        }).then(function () {
+            assert.equal(hideSpy.callCount, 1);
+            module.destroy();
+        });
+    });
+
+    it('should no longer call a listener that was removed with off()', function () {
+        var Module = require('../src/module');
+        var module = new Module();
+        var enableSpy = sinon.spy();
+        module.on('enable', enableSpy);
+        module.off('enable', enableSpy);
+        return module.enable().then(function () {
+            assert.equal(enableSpy.callCount, 0);
+            module.destroy();
+        });
+    });
+
+    it('should trigger error event with the error and remove all listeners when destroyed', function () {
+        var Module = require('../src/module');
+        var module = new Module();
+        var error = new Error();
+        var errorSpy = sinon.spy();
+        var destroySpy = sinon.spy();
+        module.on('error', errorSpy);
+        module.on('destroy', destroySpy);
+        return module.error(error).then(function () {
+            assert.deepEqual(errorSpy.args[0][0], error, 'error listener was passed the error');
+            module.destroy();
+            assert.equal(destroySpy.callCount, 1, 'destroy listener was called');
+            assert.ok(module.trigger('error'), 'triggering after destroy calls no listeners');
+            assert.equal(errorSpy.callCount, 1, 'error listener was removed on destroy');
+        });
+    });
+
+    it('should only call onLoad() once and return the same promise when load() is called while already loading', function () {
+        var Module = require('../src/module');
+        var onLoadStub = sinon.stub().returns(Promise.resolve());
+        var CustomModule = Module.extend({onLoad: onLoadStub});
+        var module = new CustomModule();
+        var firstLoad = module.load();
+        var secondLoad = module.load();
+        assert.equal(firstLoad, secondLoad, 'second load() call returned the in-flight promise');
+        return secondLoad.then(function () {
+            assert.equal(onLoadStub.callCount, 1);
+            module.destroy();
+        });
+    });
+
+    it('should update state and loading css class as module loads', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        var module = new Module({el: el});
+        assert.equal(module.state, 'idle', 'state is idle after instantiation');
+        var loadPromise = module.load();
+        assert.equal(module.state, 'loading', 'state is loading after load() is called');
+        assert.ok(el.classList.contains('module-loading'), 'loading class was added');
+        return loadPromise.then(function () {
+            assert.equal(module.state, 'loaded', 'state is loaded after load() resolves');
+            assert.ok(!el.classList.contains('module-loading'), 'loading class was removed');
+            module.destroy();
+            assert.equal(module.state, 'destroyed', 'state is destroyed after destroy()');
+        });
+    });
+
+    it('should wait until loading has completed before calling onShow() when show() is called during load', function () {
+        var Module = require('../src/module');
+        var resolveLoad;
+        var loadDeferred = new Promise(function (resolve) {
+            resolveLoad = resolve;
+        });
+        var onShowSpy = sinon.spy();
+        var CustomModule = Module.extend({
+            onLoad: function () {
+                return loadDeferred;
+            },
+            onShow: onShowSpy
+        });
+        var module = new CustomModule();
+        module.load();
+        var showPromise = module.show();
+        assert.equal(onShowSpy.callCount, 0, 'onShow() was not called while loading');
+        resolveLoad();
+        return showPromise.then(function () {
+            assert.equal(onShowSpy.callCount, 1, 'onShow() was called once loading completed');
+            assert.equal(module.state, 'shown');
+            module.destroy();
+        });
+    });
+
+    it('should complete loading when hide() is called while module is loading', function () {
+        var Module = require('../src/module');
+        var resolveLoad;
+        var loadDeferred = new Promise(function (resolve) {
+            resolveLoad = resolve;
+        });
+        var onLoadStub = sinon.stub().returns(loadDeferred);
+        var el = document.createElement('div');
+        var module = new (Module.extend({onLoad: onLoadStub}))({el: el});
+        var loadPromise = module.load();
+        return module.hide().then(function () {
+            assert.equal(module.state, 'idle', 'module settled while loading');
+            resolveLoad();
+            return loadPromise;
+        }).then(function () {
+            assert.equal(module.loaded, true, 'module was loaded');
+            assert.equal(module.state, 'loaded');
+            assert.ok(el.classList.contains('module-loaded'), 'loaded class was added');
+            return module.load();
+        }).then(function () {
+            assert.equal(onLoadStub.callCount, 1, 'onLoad() was not called again');
+            module.destroy();
+        });
+    });
+
+    it('should keep module shown when load() is called after show()', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        var module = new Module({el: el});
+        return module.show().then(function () {
+            return module.load();
+        }).then(function () {
+            assert.equal(module.loaded, true, 'module was loaded');
+            assert.equal(module.state, 'shown', 'module remained shown');
+            assert.equal(module.active, true);
+            assert.ok(el.classList.contains('module-active'));
+            assert.ok(el.classList.contains('module-loaded'));
+            return module.hide();
+        }).then(function () {
+            assert.equal(module.state, 'loaded', 'module settled in loaded state when hidden');
+            module.destroy();
+        });
+    });
+
+    it('should not show module when hide() is called after show() while module is loading', function () {
+        var Module = require('../src/module');
+        var resolveLoad;
+        var loadDeferred = new Promise(function (resolve) {
+            resolveLoad = resolve;
+        });
+        var onShowSpy = sinon.spy();
+        var el = document.createElement('div');
+        var module = new (Module.extend({
+            onLoad: function () {
+                return loadDeferred;
+            },
+            onShow: onShowSpy
+        }))({el: el});
+        var loadPromise = module.load();
+        var showPromise = module.show();
+        module.hide();
+        resolveLoad();
+        return Promise.all([loadPromise, showPromise]).then(function () {
+            assert.equal(onShowSpy.callCount, 0, 'onShow() was not called');
+            assert.equal(module.active, false);
+            assert.equal(module.state, 'loaded');
+            assert.ok(!el.classList.contains('module-active'), 'active class was not added');
+            module.destroy();
+        });
+    });
+
+    it('should reject show() when module has been destroyed', function () {
+        var Module = require('../src/module');
+        var module = new Module();
+        module.destroy();
+        return module.show().then(function () {
+            throw new Error('show() should have been rejected');
+        }, function (e) {
+            assert.ok(e instanceof Error);
+            assert.equal(module.active, false);
+        });
+    });
+
+    it('should keep error() method and set errored state when error() is called', function () {
+        var Module = require('../src/module');
+        var module = new Module();
+        return module.error(new Error()).then(function () {
+            assert.equal(typeof module.error, 'function', 'error() method was not overwritten');
+            assert.equal(module.state, 'errored');
+            module.destroy();
+        });
+    });
+
+    it('should set parent and return sub module when addSubModule() is called', function () {
+        var Module = require('../src/module');
+        var parent = new Module();
+        var child = new Module();
+        assert.equal(parent.addSubModule('child', child), child, 'addSubModule() returned the sub module');
+        assert.equal(parent.getSubModule('child'), child, 'getSubModule() returned the sub module');
+        assert.equal(child.parent, parent, 'sub module parent was set');
+        assert.equal(parent.removeSubModule('child'), child, 'removeSubModule() returned the sub module');
+        assert.ok(!parent.getSubModule('child'), 'sub module was removed');
+        assert.equal(child.parent, null, 'sub module parent was cleared');
+        parent.destroy();
+        child.destroy();
+    });
+
+    it('should call show() on sub modules when propagate option includes show', function () {
+        var Module = require('../src/module');
+        var parent = new Module({propagate: ['show']});
+        var child = parent.addSubModule('child', new Module());
+        var otherParent = new Module();
+        var otherChild = otherParent.addSubModule('child', new Module());
+        return Promise.all([parent.show(), otherParent.show()]).then(function () {
+            assert.equal(child.active, true, 'sub module was shown');
+            assert.equal(otherChild.active, false, 'sub module was not shown when show is not propagated');
+            parent.destroy();
+            otherParent.destroy();
+        });
+    });
+
+    it('should load sub modules one after another when subModuleLoading is sequential', function () {
+        var Module = require('../src/module');
+        var loadOrder = [];
+        var resolveFirst;
+        var firstDeferred = new Promise(function (resolve) {
+            resolveFirst = resolve;
+        });
+        var parent = new Module({subModuleLoading: 'sequential'});
+        parent.addSubModule('first', new (Module.extend({
+            onLoad: function () {
+                loadOrder.push('first');
+                return firstDeferred;
+            }
+        }))());
+        parent.addSubModule('second', new (Module.extend({
+            onLoad: function () {
+                loadOrder.push('second');
+            }
+        }))());
+        var loadPromise = parent.load();
+        return new Promise(function (resolve) {
+            setTimeout(resolve, 10);
+        }).then(function () {
+            assert.deepEqual(loadOrder, ['first'], 'second sub module waits for the first one');
+            resolveFirst();
+            return loadPromise;
+        }).then(function () {
+            assert.deepEqual(loadOrder, ['first', 'second']);
+            parent.destroy();
+        });
+    });
+
+    it('should load sub modules after the sub modules they depend on when subModuleLoading is dependency', function () {
+        var Module = require('../src/module');
+        var loadOrder = [];
+        var OrderedModule = Module.extend({
+            onLoad: function () {
+                loadOrder.push(this.options.name);
+            }
+        });
+        var parent = new Module({subModuleLoading: 'dependency'});
+        parent.addSubModule('header', new OrderedModule({name: 'header', dependsOn: ['nav']}));
+        parent.addSubModule('nav', new OrderedModule({name: 'nav'}));
+        return parent.load().then(function () {
+            assert.deepEqual(loadOrder, ['nav', 'header']);
+            parent.destroy();
+        });
+    });
+
+    it('should reject load() when sub module dependencies are circular', function () {
+        var Module = require('../src/module');
+        var parent = new Module({subModuleLoading: 'dependency'});
+        parent.addSubModule('a', new Module({dependsOn: ['b']}));
+        parent.addSubModule('b', new Module({dependsOn: ['a']}));
+        return parent.load().then(function () {
+            throw new Error('load() should have been rejected');
+        }, function (e) {
+            assert.ok(/Circular/.test(e.message));
+            parent.destroy();
+        });
+    });
+
+    it('should add error class to parent and reject load() when a sub module fails under the default fail-fast policy', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        var error = new Error('sub module failed');
+        var parent = new Module({el: el});
+        var FailingModule = Module.extend({
+            load: function () {
+                return Promise.reject(error);
+            }
+        });
+        var child = parent.addSubModule('child', new FailingModule({el: document.createElement('div')}));
+        return parent.load().then(function () {
+            throw new Error('load() should have been rejected');
+        }, function (e) {
+            assert.equal(e, error, 'load() was rejected with the sub module error');
+            assert.ok(el.classList.contains('module-error'), 'parent error class was added');
+            assert.ok(child.options.el.classList.contains('module-error'), 'failed sub module error class was added');
+            assert.deepEqual(parent.failedSubModules, ['child']);
+            parent.destroy();
+        });
+    });
+
+    it('should still load parent and list failed sub modules when subModuleFailure is ignore-failed', function () {
+        var Module = require('../src/module');
+        var onLoadSpy = sinon.spy();
+        var parent = new (Module.extend({onLoad: onLoadSpy}))({subModuleFailure: 'ignore-failed'});
+        var FailingModule = Module.extend({
+            onLoad: function () {
+                return Promise.reject(new Error());
+            }
+        });
+        var childEl = document.createElement('div');
+        parent.addSubModule('failing', new FailingModule({el: childEl}));
+        parent.addSubModule('working', new Module());
+        return parent.load().then(function () {
+            assert.equal(onLoadSpy.callCount, 1, 'parent onLoad() was called');
+            assert.equal(parent.loaded, true, 'parent was loaded');
+            assert.deepEqual(parent.failedSubModules, ['failing']);
+            assert.ok(childEl.classList.contains('module-error'), 'failed sub module error class was added');
+            assert.equal(parent.getSubModule('working').loaded, true, 'other sub module was loaded');
+            parent.destroy();
+        });
+    });
+
+    it('should add degraded class to parent when a sub module fails and subModuleFailure is degrade', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        var parent = new Module({el: el, subModuleFailure: 'degrade'});
+        var failureSpy = sinon.spy();
+        parent.on('subModuleFailure', failureSpy);
+        parent.addSubModule('failing', new (Module.extend({
+            onLoad: function () {
+                return Promise.reject(new Error());
+            }
+        }))());
+        return parent.load().then(function () {
+            assert.ok(el.classList.contains('module-degraded'), 'degraded class was added');
+            assert.ok(el.classList.contains('module-loaded'), 'loaded class was added');
+            assert.equal(parent.degraded, true);
+            assert.deepEqual(failureSpy.args[0][0], ['failing'], 'subModuleFailure event was passed failed sub module names');
+            parent.destroy();
+            assert.ok(!el.classList.contains('module-degraded'), 'degraded class was removed on destroy');
+        });
+    });
+
+    it('should merge options from element data attributes and inline JSON with constructor options taking precedence', function () {
+        var Module = require('../src/module');
+        var Carousel = Module.extend({
+            optionSchema: {
+                interval: 'number',
+                title: 'string',
+                items: 'array'
+            }
+        });
+        var el = document.createElement('div');
+        el.setAttribute('data-loaded-class', 'is-loaded');
+        el.setAttribute('data-interval', '300');
+        el.setAttribute('data-title', 'from attribute');
+        el.innerHTML = '<script type="application/json">{"title": "from json", "items": [1, 2]}</script>';
+        var module = new Carousel({el: el, interval: 500});
+        assert.equal(module.options.loadedClass, 'is-loaded', 'data attribute option was camel cased');
+        assert.equal(module.options.title, 'from json', 'inline JSON took precedence over data attribute');
+        assert.deepEqual(module.options.items, [1, 2]);
+        assert.equal(module.options.interval, 500, 'constructor option took precedence over data attribute');
+        module.destroy();
+    });
+
+    it('should ignore element options that are not declared in the option schema or built in', function () {
+        var Module = require('../src/module');
+        var Carousel = Module.extend({
+            template: '<p>carousel</p>',
+            optionSchema: {
+                interval: 'number'
+            }
+        });
+        var el = document.createElement('div');
+        el.setAttribute('data-template', '<% window.injected = true %><p>injected</p>');
+        el.setAttribute('data-template-url', '/injected.html');
+        el.setAttribute('data-interval', '300');
+        el.innerHTML = '<script type="application/json">{"dataUrl": "/injected.json"}</script>';
+        var module = new Carousel({el: el});
+        assert.equal(module.options.template, undefined, 'undeclared data-template was ignored');
+        assert.equal(module.options.templateUrl, undefined);
+        assert.equal(module.options.dataUrl, undefined, 'undeclared inline JSON option was ignored');
+        assert.strictEqual(module.options.interval, 300, 'declared option was read');
+        return module.load().then(function () {
+            assert.equal(el.innerHTML, '<p>carousel</p>', 'module template was rendered');
+            assert.ok(!window.injected);
+            module.destroy();
+        });
+    });
+
+    it('should apply option schema defaults and convert element options to the declared types', function () {
+        var Module = require('../src/module');
+        var Carousel = Module.extend({
+            optionSchema: {
+                interval: {type: 'number', default: 3000},
+                autoplay: 'boolean',
+                label: {type: 'string'},
+                loop: {type: 'boolean', default: true}
+            }
+        });
+        var el = document.createElement('div');
+        el.setAttribute('data-autoplay', '');
+        el.setAttribute('data-label', '42');
+        var module = new Carousel({el: el});
+        assert.strictEqual(module.options.interval, 3000, 'schema default was applied');
+        assert.strictEqual(module.options.autoplay, true, 'empty data attribute was converted to true');
+        assert.strictEqual(module.options.label, '42', 'numeric data attribute was converted to a string');
+        assert.strictEqual(module.options.loop, true);
+        module.destroy();
+    });
+
+    it('should call error() with every invalid option when options do not match the option schema', function () {
+        var Module = require('../src/module');
+        var errorStub = sinon.stub(Module.prototype, 'error').returns(Promise.resolve());
+        var Carousel = Module.extend({
+            optionSchema: {
+                interval: 'number',
+                title: {type: 'string', required: true}
+            }
+        });
+        var el = document.createElement('div');
+        el.setAttribute('data-interval', 'fast');
+        var module = new Carousel({el: el});
+        var e = errorStub.args[0][0];
+        assert.ok(/interval/.test(e.message) && /title/.test(e.message), 'error message names the invalid options');
+        assert.equal(e.optionErrors.length, 2);
+        module.destroy();
+        errorStub.restore();
+    });
+
+    it('should render template with serialized data into element when load() is called', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        var onLoadSpy = sinon.spy(function () {
+            assert.equal(el.innerHTML, '<p>HELLO</p>', 'template was rendered before onLoad() was called');
+        });
+        var CustomModule = Module.extend({
+            template: '<p><%= title %></p>',
+            onLoad: onLoadSpy,
+            serializeData: function (data) {
+                return {title: data.title.toUpperCase()};
+            }
+        });
+        var module = new CustomModule({el: el});
+        var fetchDataStub = sinon.stub(module, 'fetchData').returns(Promise.resolve({title: 'hello'}));
+        module.options.dataUrl = 'my/data';
+        return module.load().then(function () {
+            assert.equal(fetchDataStub.args[0][0], 'my/data', 'data was fetched from dataUrl');
+            assert.equal(onLoadSpy.callCount, 1);
+            module.destroy();
+        });
+    });
+
+    it('should get template from templateUrl and styles from styleUrls when loading', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        var CustomModule = Module.extend({
+            templateUrl: 'my/template.html',
+            styleUrls: ['my/styles.css']
+        });
+        var module = new CustomModule({el: el});
+        var getTemplateStub = sinon.stub(module, 'getTemplate').returns(Promise.resolve('<span>from url</span>'));
+        var getStylesStub = sinon.stub(module, 'getStyles').returns(Promise.resolve());
+        return module.load().then(function () {
+            assert.equal(getTemplateStub.args[0][0], 'my/template.html');
+            assert.deepEqual(getStylesStub.args[0][0], ['my/styles.css']);
+            assert.equal(el.innerHTML, '<span>from url</span>');
+            module.destroy();
+        });
+    });
+
+    it('should re-render with passed data using a custom template engine when render() is called', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        var templateEngine = {
+            render: sinon.spy(function (template, data) {
+                return template.replace('{name}', data.name);
+            })
+        };
+        var module = new Module({el: el, template: '<b>{name}</b>', templateEngine: templateEngine});
+        var renderSpy = sinon.spy();
+        module.on('render', renderSpy);
+        return module.render({name: 'first'}).then(function () {
+            return module.render({name: 'second'});
+        }).then(function (html) {
+            assert.equal(html, '<b>second</b>', 'render() resolved with the rendered html');
+            assert.equal(el.innerHTML, '<b>second</b>', 'element was re-rendered');
+            assert.equal(templateEngine.render.callCount, 2);
+            assert.equal(renderSpy.callCount, 2, 'render event was triggered');
+            module.destroy();
+        });
+    });
+
+    it('should fetch data with the resource adapter passed in options over the global resource adapter', function () {
+        var Module = require('../src/module');
+        var origAdapter = Module.resourceAdapter;
+        var globalAdapter = {fetchData: sinon.stub().returns(Promise.resolve('global'))};
+        var moduleAdapter = {fetchData: sinon.stub().returns(Promise.resolve('module'))};
+        Module.resourceAdapter = globalAdapter;
+        var module = new Module({resourceAdapter: moduleAdapter});
+        var otherModule = new Module();
+        var requestOptions = {headers: {'X-Test': '1'}};
+        return Promise.all([module.fetchData('my/data', requestOptions), otherModule.fetchData('other/data')]).then(function (results) {
+            assert.deepEqual(results, ['module', 'global']);
+            assert.equal(moduleAdapter.fetchData.args[0][0], 'my/data');
+            assert.deepEqual(moduleAdapter.fetchData.args[0][1].headers, requestOptions.headers, 'request options were passed to adapter');
+            assert.equal(globalAdapter.fetchData.args[0][0], 'other/data');
+            Module.resourceAdapter = origAdapter;
+            module.destroy();
+            otherModule.destroy();
+        });
+    });
+
+    it('should NOT add loaded class when module is destroyed before onLoad() resolves', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        var resolveLoad;
+        var loadDeferred = new Promise(function (resolve) {
+            resolveLoad = resolve;
+        });
+        var loadSpy = sinon.spy();
+        var module = new (Module.extend({
+            onLoad: function () {
+                return loadDeferred;
+            }
+        }))({el: el});
+        module.on('load', loadSpy);
+        var loadPromise = module.load();
+        module.destroy();
+        resolveLoad();
+        return loadPromise.then(function () {
+            assert.ok(!el.classList.contains('module-loaded'), 'loaded class was not added');
+            assert.equal(module.loaded, false);
+            assert.equal(module.state, 'destroyed');
+        });
+    });
+
+    it('should pass onLoad() a signal that is aborted when destroy() is called', function () {
+        var Module = require('../src/module');
+        var onLoadSpy = sinon.spy();
+        var module = new (Module.extend({onLoad: onLoadSpy}))();
+        return module.load().then(function () {
+            var signal = onLoadSpy.args[0][1];
+            assert.equal(signal, module.signal, 'onLoad() was passed the module signal');
+            assert.equal(signal.aborted, false);
+            module.destroy();
+            assert.equal(signal.aborted, true, 'signal was aborted on destroy');
+        });
+    });
+
+    it('should pass module signal to resource adapter when fetchData() is called', function () {
+        var Module = require('../src/module');
+        var adapter = {fetchData: sinon.stub().returns(Promise.resolve())};
+        var module = new Module({resourceAdapter: adapter});
+        return module.fetchData('my/data').then(function () {
+            assert.equal(adapter.fetchData.args[0][1].signal, module.signal);
+            module.destroy();
+        });
+    });
+
+    it('should only abort signal on hide() when abortOnHide option is set', function () {
+        var Module = require('../src/module');
+        var module = new Module();
+        var abortingModule = new Module({abortOnHide: true});
+        var signal = module.signal;
+        var abortingSignal = abortingModule.signal;
+        return Promise.all([module.hide(), abortingModule.hide()]).then(function () {
+            assert.equal(signal.aborted, false, 'signal was not aborted by default');
+            assert.equal(abortingSignal.aborted, true, 'signal was aborted');
+            assert.equal(abortingModule.signal.aborted, false, 'module was given a new signal for further work');
+            module.destroy();
+            abortingModule.destroy();
+        });
+    });
+
+    it('should retry onLoad() with backoff according to retryPolicy before calling error()', function () {
+        var Module = require('../src/module');
+        var onLoadStub = sinon.stub();
+        onLoadStub.onCall(0).returns(Promise.reject(new Error('first')));
+        onLoadStub.onCall(1).returns(Promise.reject(new Error('second')));
+        onLoadStub.onCall(2).returns(Promise.resolve());
+        var el = document.createElement('div');
+        var module = new (Module.extend({onLoad: onLoadStub}))({el: el, retryPolicy: {attempts: 2, delay: 1}});
+        var retrySpy = sinon.spy();
+        var errorSpy = sinon.spy(module, 'error');
+        module.on('retry', retrySpy);
+        return module.load().then(function () {
+            assert.equal(onLoadStub.callCount, 3, 'onLoad() was retried twice');
+            assert.equal(retrySpy.callCount, 2, 'retry event was triggered for each retry');
+            assert.equal(errorSpy.callCount, 0, 'error() was not called');
+            assert.ok(el.classList.contains('module-loaded'));
+            module.destroy();
+        });
+    });
+
+    it('should call error() without retrying when retryPolicy shouldRetry returns false', function () {
+        var Module = require('../src/module');
+        var error = new Error('not found');
+        var onLoadStub = sinon.stub().returns(Promise.reject(error));
+        var module = new (Module.extend({onLoad: onLoadStub}))({
+            retryPolicy: {
+                attempts: 3,
+                delay: 1,
+                shouldRetry: function (e) {
+                    return e !== error;
+                }
+            }
+        });
+        return module.load().then(function () {
+            assert.equal(onLoadStub.callCount, 1);
+            assert.equal(module.state, 'errored');
+            module.destroy();
+        });
+    });
+
+    it('should clear error class and load again when retry() is called after a failed load', function () {
+        var Module = require('../src/module');
+        var onLoadStub = sinon.stub();
+        onLoadStub.onCall(0).returns(Promise.reject(new Error()));
+        onLoadStub.onCall(1).returns(Promise.resolve());
+        var el = document.createElement('div');
+        var module = new (Module.extend({onLoad: onLoadStub}))({el: el});
+        return module.load().then(function () {
+            assert.ok(el.classList.contains('module-error'), 'error class was added after failed load');
+            return module.retry();
+        }).then(function () {
+            assert.equal(onLoadStub.callCount, 2, 'onLoad() was called again');
+            assert.ok(!el.classList.contains('module-error'), 'error class was removed');
+            assert.equal(module.state, 'loaded');
+            module.destroy();
+        });
+    });
+
+    it('should return module to idle state and remove error class when reset() is called', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        var module = new Module({el: el});
+        return module.error(new Error()).then(function () {
+            assert.equal(module.reset(), module, 'reset() returned the module');
+            assert.equal(module.state, 'idle');
+            assert.ok(!el.classList.contains('module-error'));
+            module.destroy();
+        });
+    });
+
+    it('should call error() with a TimeoutError when onLoad() does not complete within the timeout option', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        var module = new (Module.extend({
+            onLoad: function () {
+                return new Promise(function () {});
+            }
+        }))({el: el, timeout: 5});
+        var errorSpy = sinon.spy(module, 'error');
+        return module.load().then(function () {
+            var e = errorSpy.args[0][0];
+            assert.ok(e instanceof Module.TimeoutError, 'error() was passed a TimeoutError');
+            assert.ok(e instanceof Error);
+            assert.equal(e.hook, 'onLoad');
+            assert.equal(module.timedOutHook, 'onLoad', 'module was marked with the hook that timed out');
+            assert.ok(el.classList.contains('module-error'));
+            module.destroy();
+        });
+    });
+
+    it('should ignore onShow() resolving after it timed out using hookTimeouts option', function () {
+        var Module = require('../src/module');
+        var resolveShow;
+        var showDeferred = new Promise(function (resolve) {
+            resolveShow = resolve;
+        });
+        var showSpy = sinon.spy();
+        var module = new (Module.extend({
+            onShow: function () {
+                return showDeferred;
+            }
+        }))({timeout: 1000, hookTimeouts: {onShow: 5}});
+        module.on('show', showSpy);
+        return module.show().then(function () {
+            throw new Error('show() should have been rejected');
+        }, function (e) {
+            assert.ok(e instanceof Module.TimeoutError);
+            assert.equal(module.state, 'errored', 'timeout was passed to error()');
+            resolveShow();
+            return showDeferred;
+        }).then(function () {
+            assert.equal(showSpy.callCount, 0, 'show event was not triggered after late resolution');
+            assert.equal(module.state, 'errored');
+            module.destroy();
+        });
+    });
+
+    it('should wait for element transitionend before resolving show() when waitForTransition option is set', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        var resolved = false;
+        el.style.transitionDuration = '0.3s';
+        document.body.appendChild(el);
+        var module = new Module({el: el, waitForTransition: true});
+        var showPromise = module.show().then(function () {
+            resolved = true;
+        });
+        assert.ok(el.classList.contains('module-entering'), 'enter class was added');
+        assert.ok(el.classList.contains('module-active'), 'active class was added');
+        return new Promise(function (resolve) {
+            setTimeout(resolve, 10);
+        }).then(function () {
+            assert.equal(resolved, false, 'show() has not resolved before transition ended');
+            var transitionEndEvent = document.createEvent('Event');
+            transitionEndEvent.initEvent('transitionend', true, false);
+            el.dispatchEvent(transitionEndEvent);
+            return showPromise;
+        }).then(function () {
+            assert.ok(!el.classList.contains('module-entering'), 'enter class was removed');
+            assert.equal(module.state, 'shown');
+            module.destroy();
+            document.body.removeChild(el);
+        });
+    });
+
+    it('should resolve hide() after transitionFallback when no transition end event fires', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        el.style.transitionDuration = '1s';
+        document.body.appendChild(el);
+        var module = new Module({el: el, waitForTransition: true, transitionFallback: 5});
+        var hidePromise = module.hide();
+        assert.ok(el.classList.contains('module-leaving'), 'leave class was added');
+        return hidePromise.then(function () {
+            assert.ok(!el.classList.contains('module-leaving'), 'leave class was removed');
+            module.destroy();
+            document.body.removeChild(el);
+        });
+    });
+
+    it('should end leave transition and show module when show() interrupts a hide() in progress', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        el.style.transitionDuration = '1s';
+        document.body.appendChild(el);
+        var module = new Module({el: el, waitForTransition: true});
+        var hideSpy = sinon.spy();
+        module.on('hide', hideSpy);
+        module.hide();
+        var showPromise = module.show();
+        assert.ok(!el.classList.contains('module-leaving'), 'leave class was removed');
+        assert.ok(el.classList.contains('module-entering'), 'enter class was added');
+        var transitionEndEvent = document.createEvent('Event');
+        transitionEndEvent.initEvent('transitionend', true, false);
+        el.dispatchEvent(transitionEndEvent);
+        return showPromise.then(function () {
+            assert.ok(el.classList.contains('module-active'));
+            assert.equal(module.state, 'shown');
+            assert.equal(hideSpy.callCount, 0, 'interrupted hide did not complete');
+            module.destroy();
+            document.body.removeChild(el);
+        });
+    });
+
+    it('should call the method of a delegated event when an element matching its selector is clicked', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        el.innerHTML = '<button class="next"></button><button class="prev"></button>';
+        var CustomModule = Module.extend({
+            events: {
+                'click .next': 'onNextClick'
+            },
+            onNextClick: sinon.spy()
+        });
+        var module = new CustomModule({el: el});
+        el.querySelector('.prev').click();
+        assert.equal(CustomModule.prototype.onNextClick.callCount, 0, 'method was not called when clicking an element not matching selector');
+        el.querySelector('.next').click();
+        assert.equal(CustomModule.prototype.onNextClick.callCount, 1, 'method was called');
+        assert.equal(CustomModule.prototype.onNextClick.thisValues[0], module, 'method was called with the module as context');
+        module.destroy();
+    });
+
+    it('should not call delegated event handlers while module is disabled', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        var clickSpy = sinon.spy();
+        var module = new (Module.extend({events: {click: clickSpy}}))({el: el});
+        return module.disable().then(function () {
+            el.click();
+            assert.equal(clickSpy.callCount, 0, 'handler was not called while disabled');
+            return module.enable();
+        }).then(function () {
+            el.click();
+            assert.equal(clickSpy.callCount, 1, 'handler was called after enabling');
+            module.destroy();
+        });
+    });
+
+    it('should unbind delegated events when destroy() is called', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        var clickSpy = sinon.spy();
+        var module = new (Module.extend({events: {click: clickSpy}}))({el: el});
+        module.destroy();
+        el.click();
+        assert.equal(clickSpy.callCount, 0);
+    });
+
+    it('should delegate events on element passed to load() when no element was passed on initialize', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        var clickSpy = sinon.spy();
+        var module = new (Module.extend({events: {click: clickSpy}}))();
+        return module.load({el: el}).then(function () {
+            el.click();
+            assert.equal(clickSpy.callCount, 1);
+            module.destroy();
+        });
+    });
+
+    it('should trigger change events for changed keys when setState() is called', function () {
+        var Module = require('../src/module');
+        var module = new (Module.extend({initialState: {count: 0, label: 'a'}}))();
+        var countSpy = sinon.spy();
+        var labelSpy = sinon.spy();
+        var changeSpy = sinon.spy();
+        module.on('change:count', countSpy);
+        module.on('change:label', labelSpy);
+        module.on('change', changeSpy);
+        module.setState({count: 1, label: 'a'});
+        assert.equal(module.get('count'), 1);
+        assert.deepEqual(countSpy.args[0], [1, 0], 'key change event was passed new and previous value');
+        assert.equal(labelSpy.callCount, 0, 'change event was not triggered for a key that did not change');
+        assert.deepEqual(changeSpy.args[0], [{count: 1}, {count: 0}]);
+        assert.deepEqual(module.getState(), {count: 1, label: 'a'});
+        module.destroy();
+    });
+
+    it('should notify once about all changes made inside batch()', function () {
+        var Module = require('../src/module');
+        var module = new Module({initialState: {count: 0}});
+        var changeSpy = sinon.spy();
+        module.on('change', changeSpy);
+        module.batch(function () {
+            this.set('count', 1);
+            this.set('count', 2);
+            this.set('title', 'new');
+        });
+        assert.equal(changeSpy.callCount, 1);
+        assert.deepEqual(changeSpy.args[0], [{count: 2, title: 'new'}, {count: 0, title: undefined}]);
+        module.destroy();
+    });
+
+    it('should render once with module state after state changes when renderOnStateChange option is set', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        var module = new Module({
+            el: el,
+            template: '<span><%= count %></span>',
+            initialState: {count: 0},
+            renderOnStateChange: true
+        });
+        var renderSpy = sinon.spy();
+        module.on('render', renderSpy);
+        module.set('count', 1);
+        module.set('count', 2);
+        return new Promise(function (resolve) {
+            setTimeout(resolve, 10);
+        }).then(function () {
+            assert.equal(renderSpy.callCount, 1, 'module was rendered once');
+            assert.equal(el.innerHTML, '<span>2</span>');
+            module.destroy();
+        });
+    });
+
+    it('should call error() when a render scheduled by a state change fails', function () {
+        var Module = require('../src/module');
+        var error = new Error('template failed');
+        var module = new Module({
+            templateUrl: 'my/template.html',
+            renderOnStateChange: true,
+            errorReporter: {report: function () {}}
+        });
+        var errorSpy = sinon.spy(module, 'error');
+        sinon.stub(module, 'getTemplate').returns(Promise.reject(error));
+        module.set('count', 1);
+        return new Promise(function (resolve) {
+            setTimeout(resolve, 10);
+        }).then(function () {
+            assert.equal(errorSpy.args[0][0], error, 'error() was called with the render error');
+            assert.equal(module.state, 'errored');
+            module.destroy();
+        });
+    });
+
+    it('should call subscribed handlers of all modules when a message is published globally', function () {
+        var Module = require('../src/module');
+        var publisher = new Module();
+        var subscriber = new Module();
+        var handler = sinon.spy();
+        subscriber.subscribe('cart:updated', handler);
+        publisher.publish('cart:updated', {items: 2});
+        assert.deepEqual(handler.args[0][0], {items: 2}, 'handler was passed message data');
+        assert.equal(handler.args[0][1].source, publisher, 'handler was passed the publishing module');
+        assert.equal(handler.thisValues[0], subscriber, 'handler was called with subscribing module as context');
+        publisher.destroy();
+        subscriber.destroy();
+    });
+
+    it('should only deliver tree scoped messages to modules in the same module tree', function () {
+        var Module = require('../src/module');
+        var root = new Module();
+        var child = root.addSubModule('child', new Module());
+        var sibling = root.addSubModule('sibling', new Module());
+        var outsider = new Module();
+        var siblingHandler = sinon.spy();
+        var outsiderHandler = sinon.spy();
+        sibling.subscribe('filter', siblingHandler, 'tree');
+        outsider.subscribe('filter', outsiderHandler, 'tree');
+        child.publish('filter', 'red', 'tree');
+        assert.equal(siblingHandler.callCount, 1, 'module in same tree received message');
+        assert.equal(outsiderHandler.callCount, 0, 'module in another tree did not receive message');
+        root.destroy();
+        outsider.destroy();
+    });
+
+    it('should release subscriptions when destroy() is called', function () {
+        var Module = require('../src/module');
+        var module = new Module();
+        var handler = sinon.spy();
+        module.subscribe('my:channel', handler);
+        module.destroy();
+        Module.bus.publish('my:channel');
+        assert.equal(handler.callCount, 0);
+    });
+
+    it('should send messages up to parents and down to nested sub modules', function () {
+        var Module = require('../src/module');
+        var root = new Module();
+        var child = root.addSubModule('child', new Module());
+        var grandChild = child.addSubModule('grandChild', new Module());
+        var rootSpy = sinon.spy();
+        var grandChildSpy = sinon.spy();
+        root.on('message:resize', rootSpy);
+        grandChild.on('message:refresh', grandChildSpy);
+        child.on('message:resize', function () {
+            return false;
+        });
+        grandChild.sendUp('resize', {width: 100});
+        assert.equal(rootSpy.callCount, 0, 'message stopped at parent whose listener returned false');
+        child.off('message:resize');
+        grandChild.sendUp('resize', {width: 100});
+        assert.deepEqual(rootSpy.args[0], [{width: 100}, grandChild], 'root received message with sending module');
+        root.sendDown('refresh');
+        assert.equal(grandChildSpy.callCount, 1, 'nested sub module received message');
+        root.destroy();
+    });
+
+    it('should not call onLoad() until element intersects the viewport when lazy option is set', function () {
+        var Module = require('../src/module');
+        var observers = [];
+        var origIntersectionObserver = window.IntersectionObserver;
+        window.IntersectionObserver = function (callback, options) {
+            this.callback = callback;
+            this.options = options;
+            this.observe = sinon.spy();
+            this.disconnect = sinon.spy();
+            observers.push(this);
+        };
+        var onLoadSpy = sinon.spy();
+        var el = document.createElement('div');
+        var module = new (Module.extend({onLoad: onLoadSpy}))({el: el, lazy: true, lazyRootMargin: '200px'});
+        var loadPromise = module.load();
+        assert.equal(module.load(), loadPromise, 'concurrent load() calls share the deferred load');
+        assert.equal(observers[0].observe.args[0][0], el, 'module element is observed');
+        assert.equal(observers[0].options.rootMargin, '200px');
+        return new Promise(function (resolve) {
+            setTimeout(resolve, 10);
+        }).then(function () {
+            assert.equal(onLoadSpy.callCount, 0, 'onLoad() was not called before element is in viewport');
+            observers[0].callback([{isIntersecting: true}]);
+            return loadPromise;
+        }).then(function () {
+            assert.equal(onLoadSpy.callCount, 1, 'onLoad() was called once element is in viewport');
+            assert.equal(observers[0].disconnect.callCount, 1, 'observer was disconnected');
+            module.destroy();
+            window.IntersectionObserver = origIntersectionObserver;
+        });
+    });
+
+    it('should load lazy module right away when loadNow() is called', function () {
+        var Module = require('../src/module');
+        var origIntersectionObserver = window.IntersectionObserver;
+        window.IntersectionObserver = function () {
+            this.observe = function () {};
+            this.disconnect = function () {};
+        };
+        var module = new Module({el: document.createElement('div'), lazy: true});
+        module.load();
+        return module.loadNow().then(function () {
+            assert.equal(module.loaded, true);
+            module.destroy();
+            window.IntersectionObserver = origIntersectionObserver;
+        });
+    });
+
+    it('should resolve lazy load() and show() without loading or showing when module is destroyed before its element is in the viewport', function () {
+        var Module = require('../src/module');
+        var origIntersectionObserver = window.IntersectionObserver;
+        var onLoadSpy = sinon.spy();
+        var onShowSpy = sinon.spy();
+        window.IntersectionObserver = function () {
+            this.observe = function () {};
+            this.disconnect = function () {};
+        };
+        var module = new (Module.extend({onLoad: onLoadSpy, onShow: onShowSpy}))({
+            el: document.createElement('div'),
+            lazy: true,
+            lazyShow: true
+        });
+        var loadPromise = module.load();
+        var showPromise = module.show();
+        module.destroy();
+        return Promise.all([loadPromise, showPromise]).then(function () {
+            assert.equal(onLoadSpy.callCount, 0, 'module was not loaded');
+            assert.equal(onShowSpy.callCount, 0, 'module was not shown');
+            window.IntersectionObserver = origIntersectionObserver;
+        });
+    });
+
+    it('should load lazy module immediately when IntersectionObserver is not supported', function () {
+        var Module = require('../src/module');
+        var origIntersectionObserver = window.IntersectionObserver;
+        window.IntersectionObserver = undefined;
+        var module = new Module({el: document.createElement('div'), lazy: true, lazyShow: true});
+        return module.load().then(function () {
+            assert.equal(module.loaded, true, 'module was loaded');
+            return module.show();
+        }).then(function () {
+            assert.equal(module.active, true, 'module was shown');
+            module.destroy();
+            window.IntersectionObserver = origIntersectionObserver;
+        });
+    });
+
+    describe('media queries', function () {
+
+        var mediaQueryLists;
+        var origMatchMedia;
+
+        beforeEach(function () {
+            mediaQueryLists = {};
+            origMatchMedia = window.matchMedia;
+            window.matchMedia = function (query) {
+                var mediaQueryList = mediaQueryLists[query] = mediaQueryLists[query] || {
+                    matches: false,
+                    listeners: [],
+                    addListener: function (listener) {
+                        this.listeners.push(listener);
+                    },
+                    removeListener: function (listener) {
+                        this.listeners.splice(this.listeners.indexOf(listener), 1);
+                    },
+                    change: function (matches) {
+                        this.matches = matches;
+                        this.listeners.slice().forEach(function (listener) {
+                            listener();
+                        });
+                    }
+                };
+                return mediaQueryList;
+            };
+        });
+
+        afterEach(function () {
+            window.matchMedia = origMatchMedia;
+        });
+
+        it('should disable module when media query does not match and enable it once it matches', function () {
+            var Module = require('../src/module');
+            var onEnableSpy = sinon.spy();
+            var onDisableSpy = sinon.spy();
+            var module = new (Module.extend({onEnable: onEnableSpy, onDisable: onDisableSpy}))({media: '(max-width: 767px)'});
+            assert.equal(onDisableSpy.callCount, 0, 'media query was not applied during initialize');
+            return Promise.resolve().then(function () {
+                assert.equal(module.disabled, true, 'module was disabled once created');
+                assert.equal(onDisableSpy.callCount, 1, 'onDisable() was called');
+                mediaQueryLists['(max-width: 767px)'].change(true);
+                assert.equal(module.disabled, false, 'module was enabled when query started matching');
+                assert.equal(onEnableSpy.callCount, 1, 'onEnable() was called');
+                module.destroy();
+                assert.equal(mediaQueryLists['(max-width: 767px)'].listeners.length, 0, 'media query listener was removed on destroy');
+            });
+        });
+
+        it('should load sub modules added by subclass initialize() when media query matches and mediaAction is load', function () {
+            var Module = require('../src/module');
+            var query = '(min-width: 768px)';
+            var onSubModuleLoadSpy = sinon.spy();
+            var Page = Module.extend({
+                initialize: function (options) {
+                    Module.prototype.initialize.call(this, options);
+                    this.addSubModule('slide', new (Module.extend({onLoad: onSubModuleLoadSpy}))());
+                }
+            });
+            var module;
+            window.matchMedia(query).matches = true;
+            module = new Page({media: query, mediaAction: 'load'});
+            return module.load().then(function () {
+                assert.equal(onSubModuleLoadSpy.callCount, 1, 'sub module was loaded');
+                module.destroy();
+            });
+        });
+
+        it('should load module when media query matches and destroy it when it stops matching when mediaAction is load', function () {
+            var Module = require('../src/module');
+            var query = '(min-width: 768px)';
+            window.matchMedia(query).matches = true;
+            var module = new Module({media: query, mediaAction: 'load'});
+            return module.load().then(function () {
+                assert.equal(module.loaded, true, 'module was loaded');
+                mediaQueryLists[query].change(false);
+                assert.equal(module.state, 'destroyed', 'module was destroyed');
+            });
+        });
+
+        it('should swap modules created on an element as a different media query matches', function () {
+            var Module = require('../src/module');
+            var el = document.createElement('div');
+            var MobileModule = Module.extend();
+            var DesktopModule = Module.extend();
+            window.matchMedia('(max-width: 767px)').matches = true;
+            var mediaSwitch = Module.mediaSwitch(el, {
+                '(max-width: 767px)': MobileModule,
+                '(min-width: 768px)': DesktopModule
+            });
+            var mobileModule = mediaSwitch.module;
+            assert.ok(mobileModule instanceof MobileModule, 'module of matching query was created');
+            assert.equal(mobileModule.options.el, el);
+            mediaQueryLists['(max-width: 767px)'].change(false);
+            mediaQueryLists['(min-width: 768px)'].change(true);
+            assert.equal(mobileModule.state, 'destroyed', 'previous module was destroyed');
+            assert.ok(mediaSwitch.module instanceof DesktopModule, 'module of newly matching query was created');
+            mediaSwitch.destroy();
+            assert.equal(mediaSwitch.module, null);
+        });
+    });
+
+    it('should set aria-busy while loading when accessibility option is set', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        var module = new Module({el: el, accessibility: true});
+        var loadPromise = module.load();
+        assert.equal(el.getAttribute('aria-busy'), 'true', 'aria-busy was set while loading');
+        return loadPromise.then(function () {
+            assert.ok(!el.hasAttribute('aria-busy'), 'aria-busy was removed once loaded');
+            module.destroy();
+        });
+    });
+
+    it('should hide module element from accessibility tree on hide() and restore it on show() when accessibility option is set', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        el.innerHTML = '<a href="#">link</a>';
+        var link = el.querySelector('a');
+        var module = new Module({el: el, accessibility: true});
+        return module.hide().then(function () {
+            assert.equal(el.getAttribute('aria-hidden'), 'true', 'aria-hidden was set');
+            assert.ok(el.hasAttribute('inert'), 'inert was set');
+            return module.show();
+        }).then(function () {
+            assert.ok(!el.hasAttribute('aria-hidden'), 'aria-hidden was removed');
+            assert.ok(!el.hasAttribute('inert'), 'inert was removed');
+            assert.ok(!link.hasAttribute('tabindex'), 'link tabindex was restored');
+            module.destroy();
+        });
+    });
+
+    it('should disable interactive descendants on disable() and restore them on enable() when accessibility option is set', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        el.innerHTML = '<button></button><a href="#" tabindex="2">link</a><input disabled>';
+        var button = el.querySelector('button');
+        var link = el.querySelector('a');
+        var input = el.querySelector('input');
+        var module = new Module({el: el, accessibility: true});
+        return module.disable().then(function () {
+            assert.equal(el.getAttribute('aria-disabled'), 'true');
+            assert.ok(button.disabled, 'button was disabled');
+            assert.equal(link.getAttribute('tabindex'), '-1', 'link was removed from tab order');
+            return module.enable();
+        }).then(function () {
+            assert.ok(!el.hasAttribute('aria-disabled'));
+            assert.ok(!button.disabled, 'button was enabled');
+            assert.equal(link.getAttribute('tabindex'), '2', 'link tabindex was restored');
+            assert.ok(input.disabled, 'input that was disabled before stays disabled');
+            module.destroy();
+        });
+    });
+
+    it('should move focus into module on show() and restore it on hide() when manageFocus option is set', function () {
+        var Module = require('../src/module');
+        var trigger = document.createElement('button');
+        var el = document.createElement('div');
+        el.innerHTML = '<p>text</p><button class="close"></button>';
+        document.body.appendChild(trigger);
+        document.body.appendChild(el);
+        trigger.focus();
+        var module = new Module({el: el, manageFocus: true});
+        return module.show().then(function () {
+            assert.equal(document.activeElement, el.querySelector('.close'), 'focus was moved to first focusable element');
+            return module.show();
+        }).then(function () {
+            return module.hide();
+        }).then(function () {
+            assert.equal(document.activeElement, trigger, 'focus was restored to where it was before the module was first shown');
+            module.destroy();
+            document.body.removeChild(trigger);
+            document.body.removeChild(el);
+        });
+    });
+
+    it('should remove the tabindex added to focus a module without focusable elements on hide() and destroy()', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        var other = document.createElement('div');
+        other.setAttribute('tabindex', '0');
+        document.body.appendChild(el);
+        document.body.appendChild(other);
+        var module = new Module({el: el, manageFocus: true});
+        var otherModule = new Module({el: other, manageFocus: true});
+        return module.show().then(function () {
+            assert.equal(document.activeElement, el, 'module element was focused');
+            assert.equal(el.getAttribute('tabindex'), '-1');
+            return module.hide();
+        }).then(function () {
+            assert.ok(!el.hasAttribute('tabindex'), 'tabindex was removed on hide');
+            return Promise.all([module.show(), otherModule.show()]);
+        }).then(function () {
+            module.destroy();
+            otherModule.destroy();
+            assert.ok(!el.hasAttribute('tabindex'), 'tabindex was removed on destroy');
+            assert.equal(other.getAttribute('tabindex'), '0', 'existing tabindex was kept');
+            document.body.removeChild(el);
+            document.body.removeChild(other);
+        });
+    });
+
+    it('should destroy module when its element is removed from the document when destroyOnDetach option is set', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        document.body.appendChild(el);
+        var module = new Module({el: el, destroyOnDetach: true, detachGracePeriod: 0});
+        document.body.removeChild(el);
+        return new Promise(function (resolve) {
+            setTimeout(resolve, 20);
+        }).then(function () {
+            assert.equal(module.state, 'destroyed');
+        });
+    });
+
+    it('should NOT destroy module when its element is moved within the grace period', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        var container = document.createElement('div');
+        document.body.appendChild(el);
+        document.body.appendChild(container);
+        var module = new Module({el: el, destroyOnDetach: true, detachGracePeriod: 20});
+        document.body.removeChild(el);
+        return new Promise(function (resolve) {
+            setTimeout(resolve, 5);
+        }).then(function () {
+            container.appendChild(el);
+            return new Promise(function (resolve) {
+                setTimeout(resolve, 40);
+            });
+        }).then(function () {
+            assert.notEqual(module.state, 'destroyed');
+            module.destroy();
+            document.body.removeChild(container);
+        });
+    });
+
+    it('should NOT destroy module of an element that was never in the document', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        var other = document.createElement('div');
+        var module = new Module({el: el, destroyOnDetach: true, detachGracePeriod: 0});
+        document.body.appendChild(other);
+        document.body.removeChild(other);
+        return new Promise(function (resolve) {
+            setTimeout(resolve, 20);
+        }).then(function () {
+            assert.notEqual(module.state, 'destroyed');
+            module.destroy();
+        });
+    });
+
+    it('should render module and its sub modules to html with serialized state when renderToString() is called', function () {
+        var Module = require('../src/module');
+        var Page = Module.extend({
+            template: '<h1><%= title %></h1>',
+            initialState: {count: 2, label: 'a "quoted" <b>'}
+        });
+        var Slide = Module.extend({template: '<p>slide</p>'});
+        var page = new Page();
+        var fetchDataStub = sinon.stub(page, 'fetchData').returns(Promise.resolve({title: 'Products'}));
+        page.options.dataUrl = 'my/data';
+        Module.register('page', Page);
+        Module.register('slide', Slide);
+        page.addSubModule('hero', new Slide());
+        return page.renderToString({tagName: 'section', attributes: {'class': 'page'}}).then(function (html) {
+            assert.equal(fetchDataStub.args[0][0], 'my/data', 'data was fetched from dataUrl');
+            assert.equal(html, '<section data-module="page" class="page" data-hydrate="true" ' +
+                'data-initial-state="{&quot;count&quot;:2,&quot;label&quot;:&quot;a \\&quot;quoted\\&quot; &lt;b&gt;&quot;}">' +
+                '<h1>Products</h1>' +
+                '<div data-module="slide" data-module-name="hero" data-hydrate="true"><p>slide</p></div>' +
+                '</section>');
+            Module.unregister('page');
+            Module.unregister('slide');
+            page.destroy();
+        });
+    });
+
+    it('should restore state and load without rendering when bootstrapping markup from renderToString()', function () {
+        var Module = require('../src/module');
+        var onLoadSpy = sinon.spy();
+        var Page = Module.extend({template: '<h1><%= title %></h1>', dataUrl: 'my/data', onLoad: onLoadSpy});
+        var fetchDataStub = sinon.stub(Page.prototype, 'fetchData').returns(Promise.resolve({title: 'Products'}));
+        var renderSpy = sinon.spy(Page.prototype, 'render');
+        var serverPage = new Page({initialState: {count: 2}});
+        var root = document.createElement('div');
+        Module.register('page', Page);
+        return serverPage.renderToString().then(function (html) {
+            serverPage.destroy();
+            fetchDataStub.reset();
+            renderSpy.reset();
+            root.innerHTML = html;
+            return Module.bootstrap(root);
+        }).then(function (modules) {
+            var page = modules[0];
+            assert.equal(fetchDataStub.callCount, 0, 'data was not fetched');
+            assert.equal(renderSpy.callCount, 0, 'module was not rendered');
+            assert.equal(root.innerHTML.indexOf('<h1>Products</h1>') !== -1, true, 'server markup was kept');
+            assert.deepEqual(page.getState(), {count: 2}, 'state was restored');
+            assert.equal(page.hydrated, true);
+            assert.equal(page.loaded, true, 'module was loaded');
+            assert.ok(page.options.el.classList.contains('module-loaded'));
+            assert.equal(onLoadSpy.callCount, 1, 'onLoad() was called');
+            Module.teardown(root);
+            Module.unregister('page');
+            fetchDataStub.restore();
+            renderSpy.restore();
+        });
+    });
+
+    it('should not render module when hydrate() is called', function () {
+        var Module = require('../src/module');
+        var el = document.createElement('div');
+        var CustomModule = Module.extend({template: '<p>client</p>'});
+        var module = new CustomModule({el: el});
+        el.innerHTML = '<p>server</p>';
+        return module.hydrate().then(function () {
+            assert.equal(el.innerHTML, '<p>server</p>', 'markup was not replaced');
+            assert.equal(module.loaded, true);
+            module.destroy();
+        });
+    });
+
+    it('should call lifecycle hooks of class and mixins in order, waiting for promises, when mixin() is called', function () {
+        var Module = require('../src/module');
+        var calls = [];
+        var resolveClassHook;
+        var classHookDeferred = new Promise(function (resolve) {
+            resolveClassHook = resolve;
+        });
+        var first = {
+            onShow: function () {
+                calls.push('first');
+            },
+            events: {click: 'onFirstClick', keydown: 'onFirstKeyDown'},
+            next: function () {
+                return 'mixin next';
+            },
+            previous: function () {
+                return 'mixin previous';
+            }
+        };
+        var second = {
+            onShow: function () {
+                calls.push('second');
+            }
+        };
+        var Carousel = Module.extend({
+            onShow: function () {
+                calls.push('class');
+                return classHookDeferred;
+            },
+            events: {click: 'onClick'},
+            next: function () {
+                return 'class next';
+            }
+        });
+        var module;
+        assert.equal(Carousel.mixin(first, second), Carousel, 'class was returned');
+        module = new Carousel();
+        assert.deepEqual(module.events, {click: 'onClick', keydown: 'onFirstKeyDown'}, 'events were merged');
+        assert.equal(module.next(), 'class next', 'method defined by class was kept');
+        assert.equal(module.previous(), 'mixin previous', 'method class does not define was added');
+        var showPromise = module.show();
+        assert.deepEqual(calls, ['class'], 'mixin hooks waited for class hook');
+        resolveClassHook();
+        return showPromise.then(function () {
+            assert.deepEqual(calls, ['class', 'first', 'second']);
+            module.destroy();
+        });
+    });
+
+    it('should wrap lifecycle methods of all modules in plugin order and add plugin option defaults when Module.use() is called', function () {
+        var Module = require('../src/module');
+        var calls = [];
+        var removeFirst = Module.use({
+            options: {trackingCategory: 'module', timeout: 5000},
+            show: function (next) {
+                calls.push('first before');
+                return next().then(function () {
+                    calls.push('first after ' + this.options.trackingCategory);
+                }.bind(this));
+            }
+        });
+        var removeSecond = Module.use({
+            order: -1,
+            show: function (next) {
+                calls.push('second before');
+                return next();
+            }
+        });
+        var module = new Module({trackingCategory: 'page'});
+        assert.equal(module.options.timeout, 5000, 'plugin option default was added');
+        assert.equal(module.options.trackingCategory, 'page', 'constructor option took precedence over plugin default');
+        return module.show().then(function () {
+            assert.deepEqual(calls, ['second before', 'first before', 'first after page'], 'plugin with lower order was outermost');
+            removeFirst();
+            removeSecond();
+            module.destroy();
+        });
+    });
+
+    it('should only apply plugins added with use() of a subclass to its modules', function () {
+        var Module = require('../src/module');
+        var onLoadSpy = sinon.spy();
+        var Carousel = Module.extend();
+        var TouchCarousel = Carousel.extend();
+        var loadSpy = sinon.spy();
+        var removePlugin = Carousel.use({
+            load: function (next, options) {
+                loadSpy(options);
+                return next();
+            }
+        });
+        var module = new Module();
+        var carousel = new TouchCarousel({onLoad: onLoadSpy});
+        return Promise.all([module.load(), carousel.load({foo: 'bar'})]).then(function () {
+            assert.equal(loadSpy.callCount, 1, 'plugin only wrapped modules of the subclass');
+            assert.deepEqual(loadSpy.args[0][0], {foo: 'bar'}, 'plugin was passed the method arguments');
+            assert.equal(carousel.loaded, true, 'wrapped method was called');
+            removePlugin();
+            assert.ok(!new TouchCarousel().hasOwnProperty('load'), 'removed plugin was not applied to new modules');
+            module.destroy();
+            carousel.destroy();
+        });
+    });
+
+    it('should allow plugins to wrap initialize, error and destroy and prevent the wrapped method from being called', function () {
+        var Module = require('../src/module');
+        var calls = [];
+        var removePlugin = Module.use({
+            initialize: function (next, options) {
+                next();
+                calls.push('initialize ' + this.state);
+            },
+            error: function (next, e) {
+                calls.push('error ' + e.message);
+                return next();
+            },
+            destroy: function () {
+                calls.push('destroy prevented');
+            }
+        });
+        var module = new Module();
+        return module.error(new Error('failed')).then(function () {
+            module.destroy();
+            assert.deepEqual(calls, ['initialize idle', 'error failed', 'destroy prevented']);
+            assert.equal(module.state, 'errored', 'module was not destroyed');
+            removePlugin();
+            Module.prototype.destroy.call(module);
+        });
+    });
+
+    it('should report errors to error reporter with class name, element and lifecycle phase', function () {
+        var Module = require('../src/module');
+        var reportSpy = sinon.spy();
+        var origReporter = Module.errorReporter;
+        var error = new Error('failed');
+        var Carousel = Module.extend({
+            onLoad: function () {
+                return Promise.reject(error);
+            }
+        }, {displayName: 'Carousel'});
+        var el = document.createElement('div');
+        var module = new Carousel({el: el});
+        Module.errorReporter = {report: reportSpy};
+        return module.load().then(function () {
+            assert.equal(reportSpy.callCount, 1, 'error was reported');
+            assert.equal(reportSpy.args[0][0], error);
+            assert.equal(reportSpy.args[0][1].module, module);
+            assert.equal(reportSpy.args[0][1].name, 'Carousel', 'displayName was reported as class name');
+            assert.equal(reportSpy.args[0][1].el, el);
+            assert.equal(reportSpy.args[0][1].phase, 'loading', 'lifecycle phase was reported');
+            Module.errorReporter = origReporter;
+            module.destroy();
+        });
+    });
+
+    it('should report errors to error reporter of module instead of global one when errorReporter option is passed', function () {
+        var Module = require('../src/module');
+        var globalReportSpy = sinon.spy();
+        var moduleReportSpy = sinon.spy();
+        var origReporter = Module.errorReporter;
+        var Carousel = Module.extend();
+        var module = new Carousel({errorReporter: {report: moduleReportSpy}});
+        Module.errorReporter = {report: globalReportSpy};
+        Module.register('carousel', Carousel);
+        return module.error(new Error('failed')).then(function () {
+            assert.equal(globalReportSpy.callCount, 0);
+            assert.equal(moduleReportSpy.callCount, 1);
+            assert.equal(moduleReportSpy.args[0][1].name, 'carousel', 'registered name was reported as class name');
+            Module.errorReporter = origReporter;
+            Module.unregister('carousel');
+            module.destroy();
+        });
+    });
+
+    it('should call Module.onUnhandledError only for errors of modules without onError()', function () {
+        var Module = require('../src/module');
+        var onUnhandledErrorSpy = sinon.spy();
+        var origReporter = Module.errorReporter;
+        var error = new Error('unhandled');
+        var module = new Module();
+        var handlingModule = new (Module.extend({onError: function () {}}))();
+        Module.errorReporter = {report: function () {}};
+        Module.onUnhandledError = onUnhandledErrorSpy;
+        return Promise.all([module.error(error), handlingModule.error(new Error('handled'))]).then(function () {
+            assert.equal(onUnhandledErrorSpy.callCount, 1);
+            assert.equal(onUnhandledErrorSpy.args[0][0], error);
+            assert.equal(onUnhandledErrorSpy.args[0][1].module, module);
+            Module.onUnhandledError = null;
+            Module.errorReporter = origReporter;
+            module.destroy();
+            handlingModule.destroy();
+        });
+    });
+
+    it('should bubble sub module errors to onSubModuleError() of its parents until one returns false', function () {
+        var Module = require('../src/module');
+        var onUnhandledErrorSpy = sinon.spy();
+        var reportSpy = sinon.spy();
+        var origReporter = Module.errorReporter;
+        var error = new Error('failed');
+        var rootSpy = sinon.spy();
+        var pageSpy = sinon.spy(function () {
+            return false;
+        });
+        var root = new (Module.extend({onSubModuleError: rootSpy}))();
+        var page = new (Module.extend({onSubModuleError: pageSpy}))();
+        var slide = new (Module.extend({
+            onLoad: function () {
+                return Promise.reject(error);
+            }
+        }))();
+        Module.errorReporter = {report: reportSpy};
+        Module.onUnhandledError = onUnhandledErrorSpy;
+        root.addSubModule('page', page);
+        page.addSubModule('slide', slide);
+        return root.load().catch(function (e) {
+            assert.equal(e, error, 'load() rejected with the error of the sub module');
+            assert.equal(pageSpy.callCount, 1, 'error bubbled to parent');
+            assert.deepEqual(pageSpy.args[0], [error, slide], 'parent was passed the error and the sub module');
+            assert.equal(rootSpy.callCount, 0, 'error did not bubble past parent that returned false');
+            assert.equal(reportSpy.callCount, 1, 'error was only reported by the sub module');
+            assert.equal(onUnhandledErrorSpy.callCount, 0, 'error handled by parent was not unhandled');
+            assert.equal(page.state, 'errored', 'parent failed with the error of the sub module');
+            Module.onUnhandledError = null;
+            Module.errorReporter = origReporter;
+            root.destroy();
+        });
+    });
+
+    it('should report the phase a show() timeout occurred in', function () {
+        var Module = require('../src/module');
+        var reportSpy = sinon.spy();
+        var origReporter = Module.errorReporter;
+        var module = new (Module.extend({
+            onShow: function () {
+                return new Promise(function () {});
+            }
+        }))({timeout: 5});
+        Module.errorReporter = {report: reportSpy};
+        return module.show().catch(function (e) {
+            assert.ok(e instanceof Module.TimeoutError);
+            assert.equal(reportSpy.args[0][1].phase, 'showing', 'phase was the state when onShow() timed out');
+            Module.errorReporter = origReporter;
+            module.destroy();
+        });
+    });
+
+    it('should render modules with a templateUrl without a DOM when using the fetch adapter and reject with the default adapter', function () {
+        var Module = require('../src/module');
+        var origDocument = global.document;
+        var fetchStub = sinon.stub().returns(Promise.resolve({
+            ok: true,
+            text: function () {
+                return Promise.resolve('<p><%= title %></p>');
+            }
+        }));
+        var Page = Module.extend({
+            templateUrl: 'page.html',
+            serializeData: function () {
+                return {title: 'Products'};
+            }
+        });
+        var restore = function () {
+            global.document = origDocument;
+        };
+        delete global.document;
+        if (typeof document !== 'undefined') {
+            restore();
+            return this.skip();
+        }
+        return new Page().renderToString().then(function () {
+            throw new Error('renderToString() should have rejected');
+        }, function (e) {
+            assert.ok(/needs a DOM/.test(e.message), 'default adapter rejected without a DOM');
+            return new Page({resourceAdapter: Module.resourceAdapters.createFetchAdapter({fetch: fetchStub})}).renderToString();
+        }).then(function (html) {
+            assert.equal(html, '<div data-hydrate="true"><p>Products</p></div>');
+            restore();
+        }, function (e) {
+            restore();
+            throw e;
+        });
+    });
 });
\ No newline at end of file
@@ -0,0 +1,87 @@
+var sinon = require('sinon');
+var assert = require('assert');
+var Promise = require('promise');
+
+/**
+ * Creates a class from source so that this file still parses where native classes aren't supported.
+ * @param {string} source - The class expression, which can refer to Parent and scope
+ * @param {Function} [Parent]
+ * @param {Object} [scope]
+ * @returns {Function|undefined} Returns undefined when native classes aren't supported
+ */
+var defineClass = function (source, Parent, scope) {
+    try {
+        return new Function('Parent', 'scope', 'return ' + source)(Parent, scope);
+    } catch (e) {
+        return undefined;
+    }
+};
+
+(defineClass('class {}') ? describe : describe.skip)('Native classes', function () {
+
+    it('should support native class subclasses with preinitialize(), __super__ and inherited static properties', function () {
+        var Module = require('../src/module');
+        var onClickSpy = sinon.spy();
+        var Carousel = defineClass('class extends Parent {' +
+            'preinitialize() { this.events = {click: "onClick"}; this.initialState = {slide: 1}; }' +
+            'onClick() { scope.onClickSpy(); }' +
+            'static create(options) { return new this(options); }' +
+        '}', Module, {onClickSpy: onClickSpy});
+        var el = document.createElement('div');
+        var carousel = Carousel.create({el: el});
+        assert.ok(carousel instanceof Module);
+        assert.equal(Carousel.__super__, Module.prototype, '__super__ is the prototype of the parent class');
+        assert.equal(Carousel.states, Module.states, 'static properties of Module are inherited');
+        assert.equal(carousel.get('slide'), 1, 'initialState set in preinitialize() was used');
+        el.click();
+        assert.equal(onClickSpy.callCount, 1, 'events set in preinitialize() were delegated');
+        carousel.destroy();
+    });
+
+    it('should allow extend() to be called on native class subclasses and native classes to extend extend() subclasses', function () {
+        var Module = require('../src/module');
+        var onLoadSpy = sinon.spy();
+        var Base = defineClass('class extends Parent { static create() { return "created"; } }', Module);
+        var Child = Base.extend({onLoad: onLoadSpy}, {version: 2});
+        var GrandChild = defineClass('class extends Parent {}', Child);
+        var module = new GrandChild();
+        assert.ok(module instanceof Base);
+        assert.equal(Child.__super__, Base.prototype);
+        assert.equal(GrandChild.__super__, Child.prototype);
+        assert.equal(Child.create(), 'created', 'static methods of native class were inherited by extend() subclass');
+        assert.equal(GrandChild.version, 2, 'static properties passed to extend() were inherited by native class');
+        return module.load().then(function () {
+            assert.equal(onLoadSpy.callCount, 1);
+            module.destroy();
+        });
+    });
+
+    it('should compose mixin hooks into native class hooks', function () {
+        var Module = require('../src/module');
+        var calls = [];
+        var Gallery = defineClass('class extends Parent {' +
+            'initialize(options) { super.initialize(options); scope.calls.push("class"); }' +
+        '}', Module, {calls: calls});
+        var module;
+        Gallery.mixin({
+            initialize: function () {
+                calls.push('mixin');
+            }
+        });
+        module = new Gallery();
+        assert.deepEqual(calls, ['class', 'mixin']);
+        assert.equal(module.state, 'idle', 'module was initialized');
+        module.destroy();
+    });
+
+    it('should report the name of the native class errors occur in', function () {
+        var Module = require('../src/module');
+        var reportSpy = sinon.spy();
+        var Carousel = defineClass('class Carousel extends Parent {}', Module);
+        var module = new Carousel({errorReporter: {report: reportSpy}});
+        return module.error(new Error('failed')).then(function () {
+            assert.equal(reportSpy.args[0][1].name, 'Carousel');
+            module.destroy();
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,113 @@
+var sinon = require('sinon');
+var assert = require('assert');
+var Promise = require('promise');
+
+describe('Resource Adapters', function () {
+
+    var createResponse = function (body, contentType, status) {
+        return {
+            ok: !status || status < 400,
+            status: status || 200,
+            headers: {
+                get: function () {
+                    return contentType;
+                }
+            },
+            json: function () {
+                return Promise.resolve(JSON.parse(body));
+            },
+            text: function () {
+                return Promise.resolve(body);
+            }
+        };
+    };
+
+    it('should parse data as JSON when response has JSON content type and merge configured headers', function () {
+        var resourceAdapters = require('../src/resource-adapters');
+        var fetchStub = sinon.stub().returns(Promise.resolve(createResponse('{"my": "data"}', 'application/json')));
+        var adapter = resourceAdapters.createFetchAdapter({fetch: fetchStub, headers: {'X-App': 'site'}});
+        return adapter.fetchData('my/data', {headers: {'X-Request': 'one'}}).then(function (data) {
+            assert.deepEqual(data, {my: 'data'});
+            assert.equal(fetchStub.args[0][0], 'my/data');
+            assert.deepEqual(fetchStub.args[0][1].headers, {'X-App': 'site', 'X-Request': 'one'});
+        });
+    });
+
+    it('should resolve data as text when response is not JSON', function () {
+        var resourceAdapters = require('../src/resource-adapters');
+        var fetchStub = sinon.stub().returns(Promise.resolve(createResponse('plain', 'text/plain')));
+        var adapter = resourceAdapters.createFetchAdapter({fetch: fetchStub});
+        return adapter.fetchData('my/text').then(function (data) {
+            assert.equal(data, 'plain');
+        });
+    });
+
+    it('should reject with the response status when the request fails', function () {
+        var resourceAdapters = require('../src/resource-adapters');
+        var fetchStub = sinon.stub().returns(Promise.resolve(createResponse('', 'text/plain', 404)));
+        var adapter = resourceAdapters.createFetchAdapter({fetch: fetchStub});
+        return adapter.fetchData('missing').then(function () {
+            throw new Error('fetchData() should have been rejected');
+        }, function (e) {
+            assert.equal(e.status, 404);
+        });
+    });
+
+    it('should only request a template once when loadTemplate() is called more than once', function () {
+        var resourceAdapters = require('../src/resource-adapters');
+        var fetchStub = sinon.stub().returns(Promise.resolve(createResponse('<div></div>', 'text/html')));
+        var adapter = resourceAdapters.createFetchAdapter({fetch: fetchStub});
+        return Promise.all([adapter.loadTemplate('my/template'), adapter.loadTemplate('my/template')]).then(function (templates) {
+            assert.deepEqual(templates, ['<div></div>', '<div></div>']);
+            assert.equal(fetchStub.callCount, 1);
+        });
+    });
+
+    it('should add fetched css to the document head when loadCss() is called', function () {
+        var resourceAdapters = require('../src/resource-adapters');
+        var fetchStub = sinon.stub().returns(Promise.resolve(createResponse('.my {color: red;}', 'text/css')));
+        var adapter = resourceAdapters.createFetchAdapter({fetch: fetchStub});
+        return adapter.loadCss(['my/styles.css']).then(function () {
+            var style = document.head.querySelector('style[data-href="my/styles.css"]');
+            assert.equal(style.textContent, '.my {color: red;}');
+            document.head.removeChild(style);
+        });
+    });
+
+
+    it('should not abort a template request shared by other modules when the module that made it is destroyed', function () {
+        var Module = require('../src/module');
+        var resourceAdapters = require('../src/resource-adapters');
+        var resolveFetch;
+        var fetchStub = sinon.spy(function (url, options) {
+            return new Promise(function (resolve, reject) {
+                resolveFetch = resolve;
+                if (options.signal) {
+                    options.signal.addEventListener('abort', function () {
+                        reject(new Error('aborted'));
+                    });
+                }
+            });
+        });
+        var adapter = resourceAdapters.createFetchAdapter({fetch: fetchStub});
+        var Slide = Module.extend({templateUrl: 'slide.html', resourceAdapter: adapter});
+        var first = new Slide();
+        var second = new Slide({el: document.createElement('div')});
+        var secondLoad;
+        first.load();
+        secondLoad = second.load();
+        return new Promise(function (resolve) {
+            setTimeout(resolve, 10);
+        }).then(function () {
+            first.destroy();
+            resolveFetch(createResponse('<p>slide</p>', 'text/html'));
+            return secondLoad;
+        }).then(function () {
+            assert.equal(fetchStub.callCount, 1, 'template was requested once');
+            assert.equal(fetchStub.args[0][1].signal, undefined, 'shared request was made without a module signal');
+            assert.equal(second.state, 'loaded', 'other module loaded');
+            assert.equal(second.options.el.innerHTML, '<p>slide</p>');
+            second.destroy();
+        });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,145 @@
+var sinon = require('sinon');
+var assert = require('assert');
+var Promise = require('promise');
+
+describe('Router', function () {
+
+    it('should match route patterns with params and query', function () {
+        var Router = require('../src/router');
+        var Module = require('../src/module');
+        var ProductPage = Module.extend();
+        var router = new Router({routes: {'/products/:id': ProductPage, '/docs/*': ProductPage}});
+        var match = router.match('/products/42?tab=reviews');
+        assert.equal(match.route, ProductPage);
+        assert.deepEqual(match.params, {id: '42'});
+        assert.deepEqual(match.query, {tab: 'reviews'});
+        assert.deepEqual(router.match('/docs/guides/setup').params, {splat: 'guides/setup'});
+        assert.equal(router.match('/unknown'), null);
+    });
+
+    it('should load module of a class route with route params and show it when navigate() is called', function () {
+        var Module = require('../src/module');
+        var onLoadSpy = sinon.spy();
+        var ProductPage = Module.extend({onLoad: onLoadSpy});
+        var router = new Module.Router({routes: {'/products/:id': ProductPage}});
+        return router.navigate('/products/42?tab=reviews').then(function (module) {
+            assert.ok(module instanceof ProductPage, 'navigate() resolved with created module');
+            assert.equal(window.location.pathname, '/products/42', 'url was changed');
+            assert.deepEqual(onLoadSpy.args[0][0].params, {id: '42'}, 'route params were passed to load()');
+            assert.deepEqual(onLoadSpy.args[0][0].query, {tab: 'reviews'});
+            assert.equal(module.active, true, 'module was shown');
+            router.stop();
+            module.destroy();
+            window.history.replaceState({}, '', '/');
+        });
+    });
+
+    it('should wait for previous module to hide before showing the next one', function () {
+        var Module = require('../src/module');
+        var resolveHide;
+        var hideDeferred = new Promise(function (resolve) {
+            resolveHide = resolve;
+        });
+        var home = new (Module.extend({
+            onHide: function () {
+                return hideDeferred;
+            }
+        }))();
+        var onShowSpy = sinon.spy();
+        var about = new (Module.extend({onShow: onShowSpy}))();
+        var router = new Module.Router({routes: {'/': home, '/about': about}, mode: 'hash'});
+        return router.navigate('/').then(function () {
+            var navigation = router.navigate('/about');
+            return new Promise(function (resolve) {
+                setTimeout(resolve, 10);
+            }).then(function () {
+                assert.equal(onShowSpy.callCount, 0, 'next module was not shown while previous module was hiding');
+                resolveHide();
+                return navigation;
+            });
+        }).then(function (module) {
+            assert.equal(module, about);
+            assert.equal(onShowSpy.callCount, 1, 'next module was shown');
+            assert.equal(home.active, false, 'previous module was hidden');
+            assert.notEqual(home.state, 'destroyed', 'module instance route was not destroyed');
+            router.stop();
+            home.destroy();
+            about.destroy();
+            window.location.hash = '';
+        });
+    });
+
+    it('should show module of the url when going back in history', function () {
+        var Module = require('../src/module');
+        var home = new Module();
+        var about = new Module();
+        var router = new Module.Router({routes: {'/': home, '/about': about}});
+        window.history.replaceState({}, '', '/');
+        return router.start().then(function () {
+            return router.navigate('/about');
+        }).then(function () {
+            window.history.replaceState({}, '', '/');
+            var popStateEvent = document.createEvent('Event');
+            popStateEvent.initEvent('popstate', false, false);
+            window.dispatchEvent(popStateEvent);
+            return new Promise(function (resolve) {
+                setTimeout(resolve, 10);
+            });
+        }).then(function () {
+            assert.equal(home.active, true, 'module of previous url was shown');
+            assert.equal(about.active, false, 'module was hidden');
+            router.stop();
+            home.destroy();
+            about.destroy();
+        });
+    });
+
+
+    it('should reject navigate() with the load error of the module and clear the current route', function () {
+        var Module = require('../src/module');
+        var error = new Error('failed');
+        var FailingPage = Module.extend({
+            onLoad: function () {
+                return Promise.reject(error);
+            },
+            errorReporter: {report: function () {}}
+        });
+        var router = new Module.Router({routes: {'/failing': FailingPage}});
+        return router.navigate('/failing').then(function () {
+            throw new Error('navigate() should have rejected');
+        }, function (e) {
+            assert.equal(e, error, 'navigate() rejected with the error of the module');
+            assert.equal(router.current, null, 'current route was cleared');
+            router.stop();
+            window.history.replaceState({}, '', '/');
+        });
+    });
+
+    it('should finish loading module instance of a route that is left while loading', function () {
+        var Module = require('../src/module');
+        var resolveLoad;
+        var loadDeferred = new Promise(function (resolve) {
+            resolveLoad = resolve;
+        });
+        var onLoadStub = sinon.stub().returns(loadDeferred);
+        var products = new (Module.extend({onLoad: onLoadStub}))();
+        var home = new Module();
+        var router = new Module.Router({routes: {'/': home, '/products': products}});
+        var productsNavigation = router.navigate('/products');
+        return router.navigate('/').then(function () {
+            resolveLoad();
+            return productsNavigation;
+        }).then(function (module) {
+            assert.equal(module, null, 'replaced navigation resolved without a module');
+            assert.equal(products.loaded, true, 'module finished loading');
+            return router.navigate('/products');
+        }).then(function (module) {
+            assert.equal(module, products);
+            assert.equal(onLoadStub.callCount, 1, 'onLoad() was not called again');
+            router.stop();
+            home.destroy();
+            products.destroy();
+            window.history.replaceState({}, '', '/');
+        });
+    });
+});
\ No newline at end of file